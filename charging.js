@@ -1,13 +1,36 @@
 /**
  * OVMS Smart Charging Scheduler
  *
- * VERSION: 3.5.0
+ * VERSION: 3.28.0
  * BUILD: Ready-by scheduling with passive ticker-based monitoring
  *
  * FEATURES:
  * - Ready-by time scheduling (reach target SOC by departure time)
+ * - Per-weekday departure plans (ready-by time and target per day)
  * - SOH-aware battery capacity calculations
  * - Cost estimates with cheap/standard rates (Intelligent Octopus Go)
+ * - Multi-band time-of-use tariffs with per-band cost breakdown
+ * - Cheapest-slot optimiser (30-minute slots, may split into several blocks)
+ * - Half-hourly dynamic prices (Octopus Agile style) from a file on /store
+ * - Charge session history log with energy, cost and duration per session
+ * - Self-calibrating charger rate and efficiency from measured sessions
+ * - Charging-curve aware duration (power tapers near full)
+ * - Cold-weather charge rate derating from pack/ambient temperature
+ * - Staged auto-retry with climate wake when a scheduled charge is interrupted
+ * - Opportunistic mode: cheap-rate only, stop at window end unless departure needs more
+ * - One-shot temporary schedule/ready-by and persistent critical journey mode
+ * - Skip-if-above threshold and minimum kWh worth scheduling (force() overrides)
+ * - Trip-aware target from planned distance, car consumption and a reserve
+ * - Minimum departure range floor (miles) that raises the target when range drops
+ * - Solar surplus charging from an export metric or /store file, night plan shrinks
+ * - Charge current limiting: lowest current that still meets ready-by, full rate only where needed
+ * - Battery-care mode: finish just before departure, balancing top-up for high targets
+ * - Vehicle-native charge limit as a safety net, 10 s SOC checks near target otherwise
+ * - Predictive stop from SOC slope and charge power; overshoot logged per session
+ * - Cold-morning pre-conditioning before ready-by (climate with one wake retry), kWh in plan
+ * - Schedule kept in absolute times, correct across clock changes (DST nights)
+ * - Active schedule and session survive script reloads and reboots (/store)
+ * - Versioned JSON status and plan (statusJson/planJson) for apps and dashboards
  * - Automatic schedule calculation on plug-in detection
  * - Passive ticker-based monitoring (no destructive event subscriptions)
  *
@@ -19,11 +42,39 @@
  *
  * USAGE (app-friendly format):
  * script eval charging.setTarget(80)
+ * script eval charging.setLimits(80,75)
+ * script eval charging.setMinCharge(1.0)
  * script eval charging.setReadyBy(7,30)
+ * script eval charging.setMode("opportunistic")
+ * script eval charging.setBatteryCare(true,30,90)
+ * script eval charging.setTrip(90)
+ * script eval charging.setTrip(145,"km")
+ * script eval charging.setTripReserve(10)
+ * script eval charging.setMinRange(40)
+ * script eval charging.setTempSchedule(14,0,17,0)
+ * script eval charging.setTempReadyBy(5,0,100)
+ * script eval charging.cancelCritical()
+ * script eval charging.setDayPlan(1,7,30,80)
+ * script eval charging.showWeek()
  * script eval charging.setWindow(23,30,5,30)
  * script eval charging.setRates(0.07,0.292)
+ * script eval charging.setBand(1,23,30,5,30,0.07)
+ * script eval charging.showTariff()
+ * script eval charging.setPriceFile("/store/charging/prices.json")
+ * script eval charging.prices()
+ * script eval charging.setSolar("/store/solar/export.json",1400,5,0)
  * script eval charging.setCharger(1.8)
+ * script eval charging.setCurrentLimit(6,32)
+ * script eval charging.setPrecondition(20,5)
+ * script eval charging.setTaper(90,3.5)
+ * script eval charging.setDerate(0,0.7)
+ * script eval charging.resetLearning()
  * script eval charging.status()
+ * script eval charging.statusJson()
+ * script eval charging.planJson()
+ * script eval charging.history(10)
+ * script eval charging.summary("month")
+ * script eval charging.force()
  * script eval charging.start()
  * script eval charging.stop()
  */
@@ -32,7 +83,7 @@
 // VERSION & MODULE INFO
 // ============================================================================
 
-var VERSION = "3.5.1";
+var VERSION = "3.28.0";
 
 if (typeof exports === "undefined") {
     var exports = {};
@@ -69,6 +120,37 @@ var config = {
     readyByHour: 7,
     readyByMinute: 30,
 
+    // "readyby": reach the target by departure, running on past the schedule
+    // if needed. "opportunistic": charge in cheap bands only and stop at the
+    // window end, overspilling only when the next departure needs it
+    mode: "readyby",
+
+    // Battery care: finish careBufferMin before departure, take later slots
+    // on equal prices, and for targets above balanceAboveSOC hold there and
+    // top up (balance) right before departure
+    batteryCare: false,
+    careBufferMin: 30,
+    balanceAboveSOC: 90,
+
+    // Skip the session when plugged in above this SOC (weekly plans with
+    // another target keep the same gap below it), or when less than
+    // minChargeKwh would go into the battery
+    skipIfAbove: 75,
+    minChargeKwh: 1.0,
+
+    // Trip planning: SOC kept in hand on arrival (%)
+    tripReserve: 10,
+
+    // Always leave with at least this range (miles, 0 = off)
+    minRangeMiles: 0,
+
+    // Solar surplus charging: export feed is a metric name (W, + = exporting)
+    // or a JSON file on /store such as {"export_w": 2100, "ts": 1760000000}
+    solarSource: "",        // "" = off
+    solarThresholdW: 1400,  // Start when exporting at least this much...
+    solarMinutes: 5,        // ...for this long, stop when it's gone this long
+    solarRate: 0,           // £/kWh for solar energy (0, or your export rate)
+
     // Cheap rate window (Intelligent Octopus Go)
     cheapWindowStart: { hour: 23, minute: 30 },
     cheapWindowEnd: { hour: 5, minute: 30 },
@@ -77,19 +159,114 @@ var config = {
     cheapRate: 0.07,
     standardRate: 0.292,
 
+    // Time-of-use bands [{ startMin, endMin, rate }]; empty = cheap window only
+    tariffBands: [],
+
+    // Half-hourly dynamic prices (p/kWh) dropped on /store by an external fetcher
+    priceFile: "",          // e.g. "/store/charging/prices.json"; "" = disabled
+
+    // Charge session log (JSON lines, oldest dropped beyond the size cap)
+    historyFile: "/store/charging/history.jsonl",
+    historyMaxBytes: 16384,
+
+    // Active schedule and session, kept across script reloads and reboots
+    stateFile: "/store/charging/state.json",
+
     // Charger
-    chargerRate: 1.8  // kW (granny charger default)
+    chargerRate: 1.8,  // kW (granny charger default)
+
+    // Current limiting via "charge current": the lowest current (A) that still
+    // makes ready-by at no extra cost, per tariff band (cheaper bands the plan
+    // fills stay at full rate). currentMin 0 = off, currentMax 0 = from chargerRate
+    currentMin: 0,
+    currentMax: 0,
+
+    // Pre-conditioning: climate on this long before ready-by while plugged in,
+    // when v.e.temp is below preconditionBelowC. The climate draw is added to
+    // the night's charge so the target still holds at departure
+    preconditionMin: 0,       // 0 = off
+    preconditionBelowC: 5,
+    preconditionKw: 2.5,      // Estimated climate draw (kW)
+
+    // FR-4: a failed climate command wakes the vehicle and retries once
+    climateWakeRetry: true,
+    climateWakeDelay: 5000,   // ms after wake (checked on ticker.10)
+
+    // Charging curve: max kW from each SOC up (only bites on faster chargers)
+    chargeCurve: [{ soc: 80, kw: 6.0 }, { soc: 90, kw: 3.5 }, { soc: 95, kw: 2.2 }],
+
+    // Cold derating: charge rate factor at or below each temperature (°C)
+    derating: [{ temp: 0, factor: 0.7 }, { temp: 5, factor: 0.85 }, { temp: 10, factor: 0.95 }],
+
+    // Weekly plan, indexed by Date.getDay() (0 = Sunday)
+    // null = use readyBy/targetSOC above, { none: true } = no departure that day,
+    // otherwise { hour: 7, minute: 30, soc: 80 }
+    weekPlan: [null, null, null, null, null, null, null]
 };
 
+var DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
 var state = {
     monitoring: false,
     subscribed: false,
     lastPluggedIn: false,  // Track plug state changes
-    scheduledStartMin: null,  // Minutes from midnight
-    scheduledEndMin: null,
+    restorePending: true,  // Saved schedule not yet checked (first tick)
+    savedBody: null,       // Last state written to config.stateFile (without session totals)
+    scheduledStart: null,     // Epoch ms
+    scheduledEnd: null,
+    scheduledBlocks: null,    // [{ start, end, amps }] epoch ms, amps null = full rate
+    activeBlock: -1,          // Block the schedule last started charging in
+    scheduledCharging: false, // Charging was started by the schedule
+    targetReached: false,     // Stopped at target: later blocks don't restart
+    manualCharging: false,    // Charging was started by charging.start()
+    retry: null,              // Interruption recovery (see CHARGE INTERRUPTION)
     scheduledKwhNeeded: null,
     scheduledCost: null,
-    scheduledMessage: null
+    scheduledCostBreakdown: null,
+    scheduledTaperMin: 0,     // Extra minutes the charging curve adds
+    scheduledDerateMin: 0,    // Extra minutes for a cold pack
+    scheduledReachSOC: null,  // SOC expected at schedule end (below target if capped)
+    scheduledMessage: null,
+    scheduledStopAtEnd: false, // Stop at the last block's end even below target
+    scheduledCurrent: null,    // Charge current (A) for this schedule, null = full
+    scheduledAbove80Min: null, // Minutes above 80% before departure, null = no departure
+    commandedCurrent: null,    // Last "charge current" sent, null = none/full restored
+    currentSupported: true,    // Cleared when the vehicle rejects "charge current"
+    chargeLimit: {
+        status: "none",  // "none", "pending", "native", "unverified", "unsupported"
+        soc: null,       // Limit last sent to the vehicle
+        previous: null   // The vehicle's own limit before we set one, restored after
+    },
+    nearTarget: false, // Ticker fallback: SOC close enough for 10 s checks
+    socSamples: [],    // Recent { t, soc } readings while charging (SOC slope)
+    predictedStopAt: null, // Epoch ms the target is expected, when under a minute away
+    skipReason: null,  // Why this session wasn't scheduled
+    forceNext: false,  // charging.force() before plug-in: ignore skip rules
+    tripMiles: null,   // Planned distance for the next session (charging.setTrip)
+    solar: {
+        exportW: null,     // Last export reading (W), null if unavailable
+        aboveSince: null,  // Epoch ms export has been over the threshold since
+        belowSince: null,  // Epoch ms surplus has been under it since (while charging)
+        charging: false,   // Charging was started by solar surplus
+        startSOC: null
+    },
+    precondition: {
+        departure: null,   // Epoch ms of the departure already handled
+        status: null,      // null, "on", "retrying", "failed", "skipped"
+        detail: null,      // Temperature or failure shown in status
+        retryAt: null      // Epoch ms to retry after the wake
+    },
+    activePlan: null,  // Departure plan picked for this session
+    session: null,     // Energy/cost accounting since plug-in
+    lastNotification: null  // { time, text } of the last notify()
+};
+
+// Self-calibration learned from completed sessions (persisted)
+var learned = {
+    rate: null,         // Effective wall power while charging (kW)
+    efficiency: null,   // Battery kWh gained / wall kWh drawn
+    sessions: 0,
+    whPerMile: null     // Driving consumption seen in the car's range estimate
 };
 
 // ============================================================================
@@ -126,6 +303,58 @@ function loadConfig() {
             }
         }
 
+        // Battery care
+        val = OvmsConfig.Get("usr", "charging.care.enabled");
+        if (val && val !== "") {
+            config.batteryCare = (val === "true");
+            parsed = parseInt(OvmsConfig.Get("usr", "charging.care.buffer"));
+            config.careBufferMin = (!isNaN(parsed) && parsed >= 0) ? parsed : config.careBufferMin;
+            parsed = parseInt(OvmsConfig.Get("usr", "charging.care.balance"));
+            config.balanceAboveSOC = (!isNaN(parsed) && parsed > 0) ?
+                parsed : config.balanceAboveSOC;
+        }
+
+        // Skip threshold and minimum charge
+        val = OvmsConfig.Get("usr", "charging.skip.threshold");
+        if (val && val !== "") {
+            parsed = parseInt(val);
+            if (!isNaN(parsed) && parsed >= 0 && parsed <= 100) {
+                config.skipIfAbove = parsed;
+            }
+        }
+
+        val = OvmsConfig.Get("usr", "charging.skip.minkwh");
+        if (val && val !== "") {
+            parsed = parseFloat(val);
+            if (!isNaN(parsed) && parsed >= 0) {
+                config.minChargeKwh = parsed;
+            }
+        }
+
+        // Trip reserve
+        val = OvmsConfig.Get("usr", "charging.trip.reserve");
+        if (val && val !== "") {
+            parsed = parseInt(val);
+            if (!isNaN(parsed) && parsed >= 0 && parsed <= 50) {
+                config.tripReserve = parsed;
+            }
+        }
+
+        // Minimum departure range
+        val = OvmsConfig.Get("usr", "charging.minrange.miles");
+        if (val && val !== "") {
+            parsed = parseInt(val);
+            if (!isNaN(parsed) && parsed >= 0) {
+                config.minRangeMiles = parsed;
+            }
+        }
+
+        // Charging mode
+        val = OvmsConfig.Get("usr", "charging.mode");
+        if (val === "readyby" || val === "opportunistic") {
+            config.mode = val;
+        }
+
         // Cheap window
         val = OvmsConfig.Get("usr", "charging.window.start.hour");
         if (val && val !== "") {
@@ -158,6 +387,18 @@ function loadConfig() {
             }
         }
 
+        // Tariff bands
+        val = OvmsConfig.Get("usr", "charging.tariff.bands");
+        if (val && val !== "") {
+            config.tariffBands = parseTariffBands(val);
+        }
+
+        // Dynamic price file ("none" = disabled)
+        val = OvmsConfig.Get("usr", "charging.prices.file");
+        if (val && val !== "") {
+            config.priceFile = (val === "none") ? "" : val;
+        }
+
         // Charger rate
         val = OvmsConfig.Get("usr", "charging.charger.rate");
         if (val && val !== "") {
@@ -167,6 +408,80 @@ function loadConfig() {
             }
         }
 
+        // Weekly plan
+        for (var d = 0; d < 7; d++) {
+            val = OvmsConfig.Get("usr", "charging.plan." + DAY_NAMES[d].toLowerCase());
+            if (val && val !== "") {
+                config.weekPlan[d] = parseDayPlan(val);
+            }
+        }
+
+        // Charging curve ("none" = linear)
+        val = OvmsConfig.Get("usr", "charging.curve");
+        if (val && val !== "") {
+            config.chargeCurve = (val === "none") ? [] : parseCurve(val);
+        }
+
+        // Temperature derating ("none" = disabled)
+        val = OvmsConfig.Get("usr", "charging.derate");
+        if (val && val !== "") {
+            config.derating = (val === "none") ? [] : parseDerating(val);
+        }
+
+        // Current limiting
+        val = OvmsConfig.Get("usr", "charging.current.min");
+        if (val && val !== "") {
+            parsed = parseInt(val);
+            config.currentMin = (!isNaN(parsed) && parsed >= 0) ? parsed : 0;
+            parsed = parseInt(OvmsConfig.Get("usr", "charging.current.max"));
+            config.currentMax = (!isNaN(parsed) && parsed >= 0) ? parsed : 0;
+        }
+
+        // Solar surplus charging
+        val = OvmsConfig.Get("usr", "charging.solar.source");
+        if (val && val !== "") {
+            config.solarSource = (val === "none") ? "" : val;
+            parsed = parseInt(OvmsConfig.Get("usr", "charging.solar.threshold"));
+            config.solarThresholdW = (!isNaN(parsed) && parsed > 0) ? parsed : config.solarThresholdW;
+            parsed = parseInt(OvmsConfig.Get("usr", "charging.solar.minutes"));
+            config.solarMinutes = (!isNaN(parsed) && parsed > 0) ? parsed : config.solarMinutes;
+            parsed = parseFloat(OvmsConfig.Get("usr", "charging.solar.rate"));
+            config.solarRate = (!isNaN(parsed) && parsed >= 0) ? parsed : config.solarRate;
+        }
+
+        // Pre-conditioning
+        val = OvmsConfig.Get("usr", "charging.precondition.minutes");
+        if (val && val !== "") {
+            parsed = parseInt(val);
+            config.preconditionMin = (!isNaN(parsed) && parsed >= 0) ? parsed : 0;
+            parsed = parseFloat(OvmsConfig.Get("usr", "charging.precondition.below"));
+            config.preconditionBelowC = !isNaN(parsed) ? parsed : config.preconditionBelowC;
+            parsed = parseFloat(OvmsConfig.Get("usr", "charging.precondition.kw"));
+            config.preconditionKw = (!isNaN(parsed) && parsed >= 0) ? parsed : config.preconditionKw;
+        }
+
+        val = OvmsConfig.Get("usr", "charging.climate.wakeretry");
+        if (val && val !== "") {
+            config.climateWakeRetry = (val === "true");
+        }
+        parsed = parseInt(OvmsConfig.Get("usr", "charging.climate.wakedelay"));
+        if (!isNaN(parsed) && parsed >= 1000 && parsed <= 30000) {
+            config.climateWakeDelay = parsed;
+        }
+
+        // Learned charger behaviour
+        val = OvmsConfig.Get("usr", "charging.learned.sessions");
+        if (val && val !== "") {
+            learned.sessions = parseInt(val) || 0;
+            parsed = parseFloat(OvmsConfig.Get("usr", "charging.learned.rate"));
+            learned.rate = (!isNaN(parsed) && parsed > 0) ? parsed : null;
+            parsed = parseFloat(OvmsConfig.Get("usr", "charging.learned.efficiency"));
+            learned.efficiency = (!isNaN(parsed) && parsed > 0) ? parsed : null;
+        }
+
+        parsed = parseFloat(OvmsConfig.Get("usr", "charging.learned.whmi"));
+        learned.whPerMile = (!isNaN(parsed) && parsed > 0) ? parsed : null;
+
         print("Config loaded: Target " + config.targetSOC + "%, Ready by " +
               formatTime(config.readyByHour, config.readyByMinute) + "\n");
 
@@ -175,6 +490,33 @@ function loadConfig() {
     }
 }
 
+// Day plans are stored as "HH:MM,SOC" (e.g. "07:30,80") or "none"
+function parseDayPlan(val) {
+    if (val === "none") {
+        return { none: true };
+    }
+    var parts = val.split(",");
+    var time = parts[0].split(":");
+    var hour = parseInt(time[0]);
+    var minute = parseInt(time[1]);
+    var soc = parseInt(parts[1]);
+    if (isNaN(hour) || hour < 0 || hour > 23 || isNaN(minute) || minute < 0 || minute > 59 ||
+        isNaN(soc) || soc < 20 || soc > 100) {
+        return null;
+    }
+    return { hour: hour, minute: minute, soc: soc };
+}
+
+function formatDayPlan(plan) {
+    if (plan === null) {
+        return "";
+    }
+    if (plan.none) {
+        return "none";
+    }
+    return formatTime(plan.hour, plan.minute) + "," + plan.soc;
+}
+
 function saveConfig(key, value) {
     try {
         OvmsConfig.Set("usr", key, String(value));
@@ -183,6 +525,37 @@ function saveConfig(key, value) {
     }
 }
 
+// Read a whole file from VFS; null if missing or unreadable
+function readFile(path) {
+    try {
+        var result = OvmsCommand.Exec("vfs cat " + path);
+        if (!result || result.indexOf("Error") === 0) {
+            return null;
+        }
+        return result;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Replace a file's contents (creating its directory if needed)
+function writeFile(path, data) {
+    try {
+        var dir = path.substring(0, path.lastIndexOf("/"));
+        if (dir) {
+            OvmsCommand.Exec("vfs mkdir " + dir);
+        }
+        VFS.Save({
+            path: path,
+            data: data
+        });
+        return true;
+    } catch (e) {
+        print("File write error: " + path + " - " + e.message + "\n");
+        return false;
+    }
+}
+
 // ============================================================================
 // METRICS HELPERS
 // ============================================================================
@@ -207,6 +580,10 @@ function getSOH() {
     return (soh > 0) ? soh : 100;
 }
 
+function getEffectiveCapacity() {
+    return getBatteryCapacity() * (getSOH() / 100);
+}
+
 function getBatteryCapacity() {
     var cac = getMetric("v.b.cac.ah", 0);
     if (cac > 0) {
@@ -243,22 +620,56 @@ function getCurrentMinutes() {
     return d.getHours() * 60 + d.getMinutes();
 }
 
-// Normalize a time relative to a reference point (typically ready_by)
-// Times after the reference (on the 24-hour clock) are treated as "yesterday"
-// This creates a linear timeline for proper temporal comparison
-function normalizeToReference(timeMin, referenceMin) {
-    if (timeMin > referenceMin) {
-        return timeMin - 1440;  // Shift back by one day
+function getMidnight(d) {
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+}
+
+// Next occurrence of a minute-of-day at or after nowMin (may exceed 1440)
+function nextOccurrence(mins, nowMin) {
+    var t = Math.floor(nowMin / 1440) * 1440 + mins;
+    return (t < nowMin) ? t + 1440 : t;
+}
+
+// Schedules are kept in epoch ms. Clock times (ready-by, band edges) are
+// resolved against local time on the actual date, so the night the clocks
+// change is an hour shorter or longer rather than the times being an hour out
+var MINUTE_MS = 60000;
+
+function getNowMinute() {
+    return Math.floor(new Date().getTime() / MINUTE_MS) * MINUTE_MS;
+}
+
+// Minute-of-day on the local clock at epoch ms
+function getLocalMinutes(ms) {
+    var d = new Date(ms);
+    return d.getHours() * 60 + d.getMinutes();
+}
+
+// First epoch ms at or after fromMs when the local clock reads mins. A time
+// skipped by the spring change resolves to the hour after
+function nextLocalTime(mins, fromMs) {
+    var from = new Date(fromMs);
+    var t = fromMs;
+    for (var day = 0; day < 3; day++) {
+        t = new Date(from.getFullYear(), from.getMonth(), from.getDate() + day,
+                     Math.floor(mins / 60), mins % 60).getTime();
+        if (t >= fromMs) {
+            break;
+        }
     }
-    return timeMin;
+    return t;
 }
 
-function isInCheapWindow(mins) {
-    var startMin = timeToMinutes(config.cheapWindowStart.hour, config.cheapWindowStart.minute);
-    var endMin = timeToMinutes(config.cheapWindowEnd.hour, config.cheapWindowEnd.minute);
+// Local "HH:MM" of epoch ms, rounded up to the minute
+function formatClock(ms) {
+    var d = new Date(Math.ceil(ms / MINUTE_MS) * MINUTE_MS);
+    return formatTime(d.getHours(), d.getMinutes());
+}
 
+// Is mins inside [startMin, endMin)? Handles ranges that cross midnight
+function isInRange(mins, startMin, endMin) {
     if (startMin > endMin) {
-        // Window crosses midnight (e.g., 23:30-05:30)
+        // Range crosses midnight (e.g., 23:30-05:30)
         return (mins >= startMin || mins < endMin);
     } else {
         return (mins >= startMin && mins < endMin);
@@ -266,233 +677,2547 @@ function isInCheapWindow(mins) {
 }
 
 // ============================================================================
-// SCHEDULE CALCULATION
+// TARIFF
 // ============================================================================
 
-function calculateSchedule(currentSOC, targetSOC) {
-    // SOH-aware capacity
-    var soh = getSOH();
-    var nominalCapacity = getBatteryCapacity();
-    var effectiveCapacity = nominalCapacity * (soh / 100);
+// Tariff bands as { startMin, endMin, rate }. Time not covered by any band is
+// charged at config.standardRate. With no bands configured, the cheap window
+// and cheap rate form a single band.
+function getTariffBands() {
+    if (config.tariffBands.length > 0) {
+        return config.tariffBands;
+    }
+    return [{
+        startMin: timeToMinutes(config.cheapWindowStart.hour, config.cheapWindowStart.minute),
+        endMin: timeToMinutes(config.cheapWindowEnd.hour, config.cheapWindowEnd.minute),
+        rate: config.cheapRate
+    }];
+}
 
-    // Energy needed
-    var socNeeded = targetSOC - currentSOC;
-    var kwhNeeded = (socNeeded / 100) * effectiveCapacity;
-    var hoursNeeded = kwhNeeded / config.chargerRate;
+// Index of the band covering mins (first match wins), or -1 for standard rate
+function getBandIndexAt(mins) {
+    var bands = getTariffBands();
+    for (var i = 0; i < bands.length; i++) {
+        if (isInRange(mins, bands[i].startMin, bands[i].endMin)) {
+            return i;
+        }
+    }
+    return -1;
+}
 
-    // Time references
-    var readyByMin = timeToMinutes(config.readyByHour, config.readyByMinute);
-    var cheapStartMin = timeToMinutes(config.cheapWindowStart.hour, config.cheapWindowStart.minute);
-    var cheapEndMin = timeToMinutes(config.cheapWindowEnd.hour, config.cheapWindowEnd.minute);
+// Rate (£/kWh) at a given minute from midnight
+function getRateAt(mins) {
+    var idx = getBandIndexAt(mins % 1440);
+    return (idx >= 0) ? getTariffBands()[idx].rate : config.standardRate;
+}
 
-    // Calculate latest start time to be ready
-    var latestStartMin = readyByMin - Math.ceil(hoursNeeded * 60);
-    if (latestStartMin < 0) {
-        latestStartMin += 1440;  // Wrap to previous day
+// Lowest-priced band; its start and end act as the "cheap window"
+function getCheapestBand() {
+    var bands = getTariffBands();
+    var best = bands[0];
+    for (var i = 1; i < bands.length; i++) {
+        if (bands[i].rate < best.rate) {
+            best = bands[i];
+        }
     }
+    return best;
+}
 
-    // Determine actual start time
-    var scheduledStartMin;
-    var mustStartEarly = false;
+function describeBand(band) {
+    var start = minutesToTime(band.startMin);
+    var end = minutesToTime(band.endMin);
+    return formatTime(start.hour, start.minute) + "-" + formatTime(end.hour, end.minute);
+}
 
-    // Normalize all times relative to readyBy to handle day-wrap correctly
-    // This ensures we're comparing times in the correct temporal order
-    var cheapStartNormalized = normalizeToReference(cheapStartMin, readyByMin);
-    var latestStartNormalized = normalizeToReference(latestStartMin, readyByMin);
+// Bands are stored as "HH:MM-HH:MM@rate;..." (e.g. "23:30-05:30@0.07;16:00-19:00@0.39")
+function parseTariffBands(val) {
+    var bands = [];
+    var entries = val.split(";");
+    for (var i = 0; i < entries.length; i++) {
+        var m = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})@([0-9.]+)$/.exec(entries[i]);
+        if (!m) {
+            continue;
+        }
+        var rate = parseFloat(m[5]);
+        if (isNaN(rate) || rate < 0) {
+            continue;
+        }
+        bands.push({
+            startMin: timeToMinutes(parseInt(m[1], 10), parseInt(m[2], 10)),
+            endMin: timeToMinutes(parseInt(m[3], 10), parseInt(m[4], 10)),
+            rate: rate
+        });
+    }
+    return bands;
+}
 
-    // Now we can compare: if latest start comes after (or at same time as) cheap start,
-    // we can wait for the cheap window
-    if (latestStartNormalized >= cheapStartNormalized) {
-        // Can wait for cheap window
-        scheduledStartMin = cheapStartMin;
-    } else {
-        // Must start before cheap window (latest start is earlier than cheap start)
-        scheduledStartMin = latestStartMin;
-        mustStartEarly = true;
+function formatTariffBands(bands) {
+    var entries = [];
+    for (var i = 0; i < bands.length; i++) {
+        entries.push(describeBand(bands[i]) + "@" + bands[i].rate);
     }
+    return entries.join(";");
+}
 
-    // Calculate end time
-    var scheduledEndMin = (scheduledStartMin + Math.ceil(hoursNeeded * 60)) % 1440;
+// Split charging blocks ([{ start, end }] epoch ms) into
+// per-band kWh and cost, drawing power from a charge profile (see
+// buildChargeProfile) in block order, or from an array of one profile per
+// block, each starting with its block. Minutes priced from the dynamic price
+// file are grouped as one "dynamic" entry at their average rate.
+// Returns { totalCost, bands: [{ label, rate, minutes, kwh, cost }] }
+function calculateCostBreakdown(blocks, profile) {
+    var bands = getTariffBands();
+    var byBand = {};  // key -> { minutes, kwh, cost }
+    var elapsed = 0;
 
-    // Calculate costs
-    var cheapHours = 0;
-    var overspillHours = 0;
-    var windowDuration;
+    for (var b = 0; b < blocks.length; b++) {
+        var blockProfile = profile;
+        if (Array.isArray(profile)) {
+            blockProfile = profile[b];
+            elapsed = 0;
+        }
+        for (var m = blocks[b].start; m < blocks[b].end; m += MINUTE_MS) {
+            var weight = Math.min(1, (blocks[b].end - m) / MINUTE_MS);
+            var kwh = (weight / 60) * getProfileKw(blockProfile, elapsed);
+            elapsed += weight;
 
-    if (cheapEndMin >= cheapStartMin) {
-        windowDuration = (cheapEndMin - cheapStartMin) / 60;
-    } else {
-        windowDuration = ((1440 - cheapStartMin) + cheapEndMin) / 60;
+            var key, rate;
+            var dynamicRate = getDynamicRate(m);
+            if (dynamicRate !== null) {
+                key = "dynamic";
+                rate = dynamicRate;
+            } else {
+                key = getBandIndexAt(getLocalMinutes(m));
+                rate = (key >= 0) ? bands[key].rate : config.standardRate;
+            }
+            var entry = byBand[key] || { minutes: 0, kwh: 0, cost: 0 };
+            entry.minutes += weight;
+            entry.kwh += kwh;
+            entry.cost += kwh * rate;
+            byBand[key] = entry;
+        }
     }
 
-    if (mustStartEarly) {
-        // All at standard rate until cheap window, then cheap
-        var hoursUntilCheap = (cheapStartMin - scheduledStartMin + 1440) % 1440 / 60;
-        if (hoursUntilCheap > hoursNeeded) {
-            overspillHours = hoursNeeded;  // All before cheap window
-            cheapHours = 0;
-        } else {
-            overspillHours = hoursUntilCheap;
-            cheapHours = hoursNeeded - hoursUntilCheap;
+    // Dynamic first, then bands in configured order, standard rate last
+    var keys = ["dynamic"];
+    for (var i = 0; i < bands.length; i++) {
+        keys.push(i);
+    }
+    keys.push(-1);
+
+    var result = { totalCost: 0, bands: [] };
+    for (var k = 0; k < keys.length; k++) {
+        var e = byBand[keys[k]];
+        if (!e) {
+            continue;
         }
-    } else {
-        // Starts in cheap window
-        if (hoursNeeded <= windowDuration) {
-            cheapHours = hoursNeeded;
-            overspillHours = 0;
+        var label, rate;
+        if (keys[k] === "dynamic") {
+            label = "dynamic";
+            rate = (e.kwh > 0) ? e.cost / e.kwh : 0;  // Average
+        } else if (keys[k] >= 0) {
+            label = describeBand(bands[keys[k]]);
+            rate = bands[keys[k]].rate;
         } else {
-            cheapHours = windowDuration;
-            overspillHours = hoursNeeded - windowDuration;
+            label = "standard";
+            rate = config.standardRate;
         }
+        result.bands.push({
+            label: label,
+            rate: rate,
+            minutes: e.minutes,
+            kwh: e.kwh,
+            cost: e.cost
+        });
+        result.totalCost += e.cost;
     }
+    return result;
+}
 
-    var cheapCost = cheapHours * config.chargerRate * config.cheapRate;
-    var overspillCost = overspillHours * config.chargerRate * config.standardRate;
-    var totalCost = cheapCost + overspillCost;
-
-    return {
-        kwhNeeded: kwhNeeded,
-        hoursNeeded: hoursNeeded,
-        scheduledStartMin: scheduledStartMin,
-        scheduledEndMin: scheduledEndMin,
-        mustStartEarly: mustStartEarly,
-        cheapHours: cheapHours,
-        overspillHours: overspillHours,
-        totalCost: totalCost
-    };
+function formatCostBreakdown(breakdown) {
+    var parts = [];
+    for (var i = 0; i < breakdown.bands.length; i++) {
+        var b = breakdown.bands[i];
+        parts.push(b.kwh.toFixed(1) + " kWh " + b.label + " @ \u00A3" + b.rate.toFixed(3) +
+                   " = \u00A3" + b.cost.toFixed(2));
+    }
+    return parts.join(", ");
 }
 
 // ============================================================================
-// NOTIFICATIONS
+// DYNAMIC PRICES
 // ============================================================================
 
-function notify(message) {
-    var msg = "[" + timestamp() + "] " + message;
-    print(msg + "\n");
+var SLOT_MS = 30 * 60 * 1000;
 
-    try {
-        OvmsNotify.Raise("info", "charge.smart", msg);
-    } catch (e) {
-        // Notification failed, but we printed to console
+// Loaded price file: rates keyed by half-hour index (epoch ms / SLOT_MS)
+var prices = {
+    rates: null,
+    count: 0,
+    lastSlotEnd: null,  // Epoch ms where the file's prices run out
+    status: "not loaded"
+};
+
+function parsePriceTime(val) {
+    if (typeof val === "number") {
+        return (val < 1e12) ? val * 1000 : val;  // Seconds or ms
     }
+    var t = Date.parse(val);
+    return isNaN(t) ? null : t;
 }
 
-// ============================================================================
-// PLUG-IN DETECTION (called by ticker, not event)
-// ============================================================================
+// Accepted formats (prices in p/kWh):
+// - Octopus API response: { "results": [{ "valid_from", "valid_to", "value_inc_vat" }] }
+// - JSON array: [{ "from": "2025-11-20T23:00:00Z", "price": 7.5 }] ("to" optional)
+// - JSON object: { "2025-11-20T23:00:00Z": 7.5, ... }
+// - CSV lines: 2025-11-20T23:00:00Z,7.5
+function parsePriceEntries(text) {
+    var entries = [];
+    var data = null;
+    var i;
 
-function checkPlugInState() {
-    var currentlyPlugged = isPluggedIn();
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        data = null;
+    }
 
-    // Detect state change: unplugged -> plugged
-    if (currentlyPlugged && !state.lastPluggedIn) {
-        print("Plug-in detected\n");
-        onPlugInDetected();
+    if (data === null) {
+        var lines = text.split("\n");
+        for (i = 0; i < lines.length; i++) {
+            var cols = lines[i].split(",");
+            if (cols.length >= 2 && !isNaN(parseFloat(cols[1]))) {
+                entries.push({ from: parsePriceTime(cols[0].replace(/^\s+|\s+$/g, "")),
+                               to: null, price: parseFloat(cols[1]) });
+            }
+        }
+        return entries;
     }
 
-    // Detect state change: plugged -> unplugged
-    if (!currentlyPlugged && state.lastPluggedIn) {
-        print("Unplug detected\n");
-        onUnplugDetected();
+    if (data.results) {
+        data = data.results;
     }
 
-    state.lastPluggedIn = currentlyPlugged;
+    if (Array.isArray(data)) {
+        for (i = 0; i < data.length; i++) {
+            var item = data[i];
+            entries.push({
+                from: parsePriceTime(item.valid_from !== undefined ? item.valid_from : item.from),
+                to: parsePriceTime(item.valid_to !== undefined ? item.valid_to : item.to),
+                price: parseFloat(item.value_inc_vat !== undefined ? item.value_inc_vat : item.price)
+            });
+        }
+    } else {
+        for (var key in data) {
+            if (data.hasOwnProperty(key)) {
+                entries.push({ from: parsePriceTime(key), to: null, price: parseFloat(data[key]) });
+            }
+        }
+    }
+    return entries;
 }
 
-function onPlugInDetected() {
-    var currentSOC = getSOC();
+// (Re)load the price file. Missing, unreadable or expired files leave
+// prices.rates null so the configured tariff is used instead.
+function loadPrices() {
+    prices.rates = null;
+    prices.count = 0;
+    prices.lastSlotEnd = null;
 
-    // Already at target?
-    if (currentSOC >= config.targetSOC) {
-        notify("Already at " + currentSOC.toFixed(0) + "% (target " +
-               config.targetSOC + "%). No charge needed.");
-        state.scheduledStartMin = null;
-        return;
+    if (!config.priceFile) {
+        prices.status = "disabled";
+        return false;
     }
 
-    // Calculate schedule
-    var schedule = calculateSchedule(currentSOC, config.targetSOC);
+    var text = readFile(config.priceFile);
+    if (text === null) {
+        prices.status = "file missing";
+        return false;
+    }
 
-    // Store schedule
-    state.scheduledStartMin = schedule.scheduledStartMin;
-    state.scheduledEndMin = schedule.scheduledEndMin;
-    state.scheduledKwhNeeded = schedule.kwhNeeded;
-    state.scheduledCost = schedule.totalCost;
+    var entries = parsePriceEntries(text);
+    var rates = {};
+    var count = 0;
+    var lastEnd = null;
+    for (var i = 0; i < entries.length; i++) {
+        var e = entries[i];
+        if (e.from === null || isNaN(e.price)) {
+            continue;
+        }
+        var to = (e.to !== null) ? e.to : e.from + SLOT_MS;
+        for (var t = e.from; t < to; t += SLOT_MS) {
+            rates[Math.floor(t / SLOT_MS)] = e.price / 100;  // p -> £
+            count++;
+        }
+        if (lastEnd === null || to > lastEnd) {
+            lastEnd = to;
+        }
+    }
 
-    // Build message
-    var startTime = minutesToTime(schedule.scheduledStartMin);
-    var endTime = minutesToTime(schedule.scheduledEndMin);
+    if (count === 0) {
+        prices.status = "no valid prices";
+        return false;
+    }
 
-    var msg = "Scheduled for " + formatTime(startTime.hour, startTime.minute) +
-              ". Will reach " + config.targetSOC + "% by " +
-              formatTime(endTime.hour, endTime.minute) +
-              ". Est. cost \u00A3" + schedule.totalCost.toFixed(2);
+    prices.lastSlotEnd = lastEnd;
+    if (lastEnd <= new Date().getTime()) {
+        prices.status = "expired " + formatDateTime(lastEnd);
+        return false;
+    }
 
-    if (schedule.mustStartEarly) {
-        msg += " (must start early)";
-    } else if (schedule.overspillHours > 0) {
-        msg += " (includes " + schedule.overspillHours.toFixed(1) + "h at standard rate)";
+    prices.rates = rates;
+    prices.count = count;
+    prices.status = count + " slots to " + formatDateTime(lastEnd);
+    return true;
+}
+
+// Dynamic rate (£/kWh) at epoch ms, or null if the file doesn't cover it
+function getDynamicRate(ms) {
+    if (prices.rates === null) {
+        return null;
     }
+    var rate = prices.rates[Math.floor(ms / SLOT_MS)];
+    return (rate === undefined) ? null : rate;
+}
 
-    state.scheduledMessage = msg;
-    notify(msg);
+// Rate at epoch ms: file price if covered, else the tariff on the local clock
+function getRateAtTime(ms) {
+    var rate = getDynamicRate(ms);
+    return (rate !== null) ? rate : getRateAt(getLocalMinutes(ms));
 }
 
-function onUnplugDetected() {
-    state.scheduledStartMin = null;
-    state.scheduledEndMin = null;
-    state.scheduledKwhNeeded = null;
-    state.scheduledCost = null;
-    state.scheduledMessage = null;
-    state.monitoring = false;
-    print("Schedule cleared\n");
+function formatDateTime(ms) {
+    var d = new Date(ms);
+    return DAY_NAMES[d.getDay()] + " " + formatTime(d.getHours(), d.getMinutes());
 }
 
 // ============================================================================
-// SCHEDULE CHECKER (called by ticker.60)
+// WEEKLY PLAN
 // ============================================================================
 
-function checkSchedule() {
-    try {
-        // Check for plug state changes first
-        checkPlugInState();
+// Accepts 0-6 (0 = Sunday), "mon".."sun", "weekdays", "weekend" or "all"
+function parseDays(day) {
+    if (typeof day === "number") {
+        return (day >= 0 && day <= 6) ? [Math.floor(day)] : null;
+    }
+    var name = String(day).toLowerCase();
+    if (name === "weekdays") {
+        return [1, 2, 3, 4, 5];
+    }
+    if (name === "weekend") {
+        return [0, 6];
+    }
+    if (name === "all") {
+        return [0, 1, 2, 3, 4, 5, 6];
+    }
+    for (var d = 0; d < 7; d++) {
+        if (DAY_NAMES[d].toLowerCase() === name.substring(0, 3)) {
+            return [d];
+        }
+    }
+    return null;
+}
 
-        var nowMin = getCurrentMinutes();
-        var currentSOC = getSOC();
-        var charging = isCharging();
-        var plugged = isPluggedIn();
+// Departure settings for one weekday, falling back to the global ready-by/target
+function getDayPlan(day) {
+    var plan = config.weekPlan[day];
+    if (plan === null) {
+        return {
+            day: day,
+            readyByHour: config.readyByHour,
+            readyByMinute: config.readyByMinute,
+            targetSOC: config.targetSOC,
+            source: "default"
+        };
+    }
+    if (plan.none) {
+        // No departure, so no deadline: always wait for the cheap window
+        return {
+            day: day,
+            readyByHour: null,
+            readyByMinute: null,
+            targetSOC: config.targetSOC,
+            source: "none"
+        };
+    }
+    return {
+        day: day,
+        readyByHour: plan.hour,
+        readyByMinute: plan.minute,
+        targetSOC: plan.soc,
+        source: "weekly"
+    };
+}
 
-        // Auto-start at scheduled time
-        if (state.scheduledStartMin !== null && !charging && plugged &&
-            currentSOC < config.targetSOC) {
+// Plan for the next departure: today's if its ready-by is still ahead, else tomorrow's
+function getNextDeparturePlan() {
+    var d = new Date();
+    var nowMin = getCurrentMinutes();
+    var today = getDayPlan(d.getDay());
+    var todayReadyMin = (today.source === "none") ?
+        timeToMinutes(config.readyByHour, config.readyByMinute) : getPlanReadyByMin(today);
+    if (nowMin < todayReadyMin) {
+        return today;
+    }
+    return getDayPlan((d.getDay() + 1) % 7);
+}
 
-            // Calculate time difference (handle day wrap)
-            var diff = nowMin - state.scheduledStartMin;
-            if (diff < -720) {
-                diff += 1440;
-            } else if (diff > 720) {
-                diff -= 1440;
-            }
+// Ready-by in minutes from midnight, or null when the plan has no departure
+function getPlanReadyByMin(plan) {
+    if (plan.readyByHour === null) {
+        return null;
+    }
+    return timeToMinutes(plan.readyByHour, plan.readyByMinute);
+}
 
-            // Start if at or after scheduled time (within 6 hour window)
-            if (diff >= 0 && diff <= 360) {
-                print("Schedule triggered: starting charge\n");
-                startCharging();
-            }
-        }
+function describePlan(plan) {
+    var text = DAY_NAMES[plan.day] + " ";
+    var tripNote = plan.rangeFloor ? " (raised for minimum range)" :
+        (plan.trip ? " (target derived from trip)" : "");
+    if (plan.preconditionSOC) {
+        tripNote += " (+" + plan.preconditionSOC + "% pre-conditioning)";
+    }
+    if (plan.needOnly) {
+        tripNote += " (departure need only)";
+    }
+    if (plan.source === "none") {
+        return text + "no departure (cheap window start, " + plan.targetSOC + "%)" + tripNote;
+    }
+    if (plan.window) {
+        var start = minutesToTime(plan.window.startMin);
+        var end = minutesToTime(plan.window.endMin);
+        return "window " + formatTime(start.hour, start.minute) + "-" +
+               formatTime(end.hour, end.minute) + " @ " + plan.targetSOC + "%" + tripNote +
+               " [TEMPORARY]";
+    }
+    text += formatTime(plan.readyByHour, plan.readyByMinute) + " @ " + plan.targetSOC + "%" +
+            tripNote;
+    if (plan.source === "temporary" || plan.source === "critical") {
+        return text + " [" + plan.source.toUpperCase() + "]";
+    }
+    return text + (plan.source === "weekly" ? " (weekly plan)" : " (default)");
+}
 
-    } catch (e) {
-        print("checkSchedule error: " + e.message + "\n");
+// Target for the current session, or for the next departure if none is active
+function getActiveTarget() {
+    if (state.activePlan !== null) {
+        return state.activePlan.targetSOC;
     }
+    var rangeSOC = getMinRangeSOC();
+    var target = getSessionPlan().targetSOC;
+    return (rangeSOC !== null && rangeSOC > target) ? rangeSOC : target;
 }
 
 // ============================================================================
-// TICKER HANDLER (called by ticker.60)
+// TEMPORARY OVERRIDE & CRITICAL JOURNEY (PERSISTENT-CONFIG-PLAN)
 // ============================================================================
 
-function tickerHandler() {
+// One-shot layer over config for the next session only. A temp schedule is
+// a fixed charging window; a temp ready-by replaces the departure time (and
+// optionally target). An earlier ready-by or a 100% target makes it critical:
+// critical overrides survive reboots and only clear once the charge completes
+// (SOC within 5% of a 100% target) or on cancelCritical().
+var override = null;  // { window, readyByHour, readyByMinute, targetSOC, critical, reason }
+
+var CRITICAL_TOLERANCE = 5;  // % below a 100% target that still counts as complete
+
+// SOC at which the override's charge counts as complete
+function getOverrideDoneSOC(target) {
+    return (target >= 100) ? 100 - CRITICAL_TOLERANCE : target;
+}
+
+// Next departure plan with any override applied
+function getSessionPlan() {
+    var plan = applyTrip(getNextDeparturePlan());
+    if (override === null) {
+        return plan;
+    }
+
+    var session = {
+        day: plan.day,
+        readyByHour: override.readyByHour,
+        readyByMinute: override.readyByMinute,
+        targetSOC: (override.targetSOC !== null) ? override.targetSOC : plan.targetSOC,
+        source: override.critical ? "critical" : "temporary",
+        window: override.window,
+        trip: (override.targetSOC === null) ? plan.trip : undefined
+    };
+    if (override.readyByHour !== null) {
+        var d = new Date();
+        var readyMin = timeToMinutes(override.readyByHour, override.readyByMinute);
+        session.day = (getCurrentMinutes() < readyMin) ? d.getDay() : (d.getDay() + 1) % 7;
+    }
+    return session;
+}
+
+function describeOverride() {
+    var text = override.critical ? "[CRITICAL] " : "[TEMPORARY] ";
+    if (override.window !== null) {
+        var start = minutesToTime(override.window.startMin);
+        var end = minutesToTime(override.window.endMin);
+        text += "Schedule " + formatTime(start.hour, start.minute) + "-" +
+                formatTime(end.hour, end.minute);
+    } else {
+        text += "Ready by " + formatTime(override.readyByHour, override.readyByMinute);
+    }
+    if (override.targetSOC !== null) {
+        text += " @ " + override.targetSOC + "%";
+    }
+    if (override.reason) {
+        text += " (" + override.reason + ")";
+    }
+    return text;
+}
+
+function saveCritical() {
+    saveConfig("charging.critical.active", override !== null && override.critical ? "true" : "false");
+    if (override !== null && override.critical) {
+        saveConfig("charging.critical.readyby.hour", override.readyByHour);
+        saveConfig("charging.critical.readyby.minute", override.readyByMinute);
+        saveConfig("charging.critical.target.soc",
+                   override.targetSOC !== null ? override.targetSOC : "");
+        saveConfig("charging.critical.reason", override.reason);
+    }
+}
+
+function loadCritical() {
+    if (OvmsConfig.Get("usr", "charging.critical.active") !== "true") {
+        return;
+    }
+    var hour = parseInt(OvmsConfig.Get("usr", "charging.critical.readyby.hour"));
+    var minute = parseInt(OvmsConfig.Get("usr", "charging.critical.readyby.minute"));
+    var target = parseInt(OvmsConfig.Get("usr", "charging.critical.target.soc"));
+    if (isNaN(hour) || isNaN(minute)) {
+        return;
+    }
+    override = {
+        window: null,
+        readyByHour: hour,
+        readyByMinute: minute,
+        targetSOC: isNaN(target) ? null : target,
+        critical: true,
+        reason: OvmsConfig.Get("usr", "charging.critical.reason") || ""
+    };
+    print("[CRITICAL JOURNEY] Restored from storage\n");
+}
+
+function clearOverride(why) {
+    if (override === null) {
+        return;
+    }
+    var wasCritical = override.critical;
+    override = null;
+    if (wasCritical) {
+        saveCritical();
+    }
+    notify((wasCritical ? "Critical journey" : "Temporary schedule") + " cleared (" + why +
+           "). Reverting to main settings.");
+}
+
+// Clear the override once its charge is complete (or no charge was needed)
+function checkOverrideDone(soc) {
+    if (override === null || state.activePlan === null ||
+        (state.activePlan.source !== "temporary" && state.activePlan.source !== "critical")) {
+        return;
+    }
+    if (soc >= getOverrideDoneSOC(state.activePlan.targetSOC)) {
+        clearOverride("charged to " + soc.toFixed(0) + "%");
+    }
+}
+
+// Extra cost of a schedule over charging the same energy at the cheapest rate
+function formatCostComparison(schedule) {
+    var cheapest = getCheapestBand();
+    var cheapCost = schedule.wallKwh * cheapest.rate;
+    var lines = [];
+    lines.push("Cost Comparison (estimated " + schedule.wallKwh.toFixed(1) + "kWh charge):");
+    lines.push("  This schedule: \u00A3" + schedule.totalCost.toFixed(2));
+    lines.push("  Cheap rate (\u00A3" + cheapest.rate.toFixed(2) + "/kWh): \u00A3" +
+               cheapCost.toFixed(2));
+    lines.push("  Extra cost: \u00A3" + Math.max(0, schedule.totalCost - cheapCost).toFixed(2));
+    return lines.join("\n");
+}
+
+// Apply an override now if the car is already plugged in
+function replanIfPlugged() {
+    if (state.lastPluggedIn && !isCharging()) {
+        planCharge(getSOC());
+    } else if (state.lastPluggedIn) {
+        state.activePlan = getSessionPlan();
+    }
+}
+
+// ============================================================================
+// TRIP PLANNING
+// ============================================================================
+
+// Range metrics are in km (OVMS native units)
+var KM_PER_MILE = 1.609344;
+var DEFAULT_WH_PER_MILE = 250;
+
+// Driving consumption: from the car's range estimate when it has one,
+// else the last value learned from it, else a typical small-EV figure
+function getConsumption() {
+    var capacity = getEffectiveCapacity();
+    var fullKm = getMetric("v.b.range.full", 0);
+    var estKm = getMetric("v.b.range.est", 0);
+    var soc = getSOC();
+    if (fullKm > 0) {
+        return { whPerMile: capacity * 1000 / (fullKm / KM_PER_MILE), source: "range.full" };
+    }
+    if (estKm > 0 && soc >= 10) {
+        return { whPerMile: capacity * (soc / 100) * 1000 / (estKm / KM_PER_MILE),
+                 source: "range.est" };
+    }
+    if (learned.whPerMile !== null) {
+        return { whPerMile: learned.whPerMile, source: "learned" };
+    }
+    return { whPerMile: DEFAULT_WH_PER_MILE, source: "default" };
+}
+
+// Remember the car's consumption (called at plug-in, while its metrics are fresh)
+function learnConsumption() {
+    var consumption = getConsumption();
+    if (consumption.source !== "range.full" && consumption.source !== "range.est") {
+        return;
+    }
+    learned.whPerMile = blend(learned.whPerMile, consumption.whPerMile);
+    saveConfig("charging.learned.whmi", learned.whPerMile.toFixed(0));
+}
+
+// SOC needed for a trip plus the reserve, capped at 100%
+function getTripTarget(miles) {
+    var consumption = getConsumption();
+    var kwh = miles * consumption.whPerMile / 1000;
+    var needed = Math.ceil((kwh / getEffectiveCapacity()) * 100) + config.tripReserve;
+    return {
+        targetSOC: Math.max(20, Math.min(100, needed)),
+        neededSOC: needed,
+        capped: needed > 100,
+        whPerMile: consumption.whPerMile,
+        source: consumption.source
+    };
+}
+
+// Replace a plan's target with the trip's, when one is set
+function applyTrip(plan) {
+    if (state.tripMiles === null) {
+        return plan;
+    }
+    var trip = getTripTarget(state.tripMiles);
+    plan.targetSOC = trip.targetSOC;
+    plan.trip = trip;
+    return plan;
+}
+
+// Range per % SOC in km: the car's ideal range, else its estimate, else
+// worked out from the consumption figure
+function getKmPerPercent() {
+    var soc = getSOC();
+    var idealKm = getMetric("v.b.range.ideal", 0);
+    if (idealKm > 0 && soc >= 10) {
+        return idealKm / soc;
+    }
+    var estKm = getMetric("v.b.range.est", 0);
+    if (estKm > 0 && soc >= 10) {
+        return estKm / soc;
+    }
+    var kwhPerPercent = getEffectiveCapacity() / 100;
+    return kwhPerPercent * 1000 / getConsumption().whPerMile * KM_PER_MILE;
+}
+
+// SOC that gives the minimum departure range, or null when not set
+function getMinRangeSOC() {
+    if (!(config.minRangeMiles > 0)) {
+        return null;
+    }
+    var kmPerPercent = getKmPerPercent();
+    if (!(kmPerPercent > 0)) {
+        return null;
+    }
+    return Math.min(100, Math.ceil(config.minRangeMiles * KM_PER_MILE / kmPerPercent));
+}
+
+function formatRange(km) {
+    return (km / KM_PER_MILE).toFixed(0) + " mi (" + km.toFixed(0) + " km)";
+}
+
+function describeTrip(trip) {
+    return state.tripMiles.toFixed(0) + " mi (" + (state.tripMiles * KM_PER_MILE).toFixed(0) +
+           " km) at " + trip.whPerMile.toFixed(0) + " Wh/mi (" + trip.source + ") + " +
+           config.tripReserve + "% reserve = " + trip.neededSOC + "%" +
+           (trip.capped ? " (capped at 100%)" : "");
+}
+
+// ============================================================================
+// CHARGING CURVE
+// ============================================================================
+
+// Max charge power (kW) from a given SOC upwards; below the first point the
+// charger rate applies. Stored as "80:6,90:3.5,95:2.2"
+function parseCurve(val) {
+    var points = [];
+    var entries = val.split(",");
+    for (var i = 0; i < entries.length; i++) {
+        var parts = entries[i].split(":");
+        var soc = parseFloat(parts[0]);
+        var kw = parseFloat(parts[1]);
+        if (!isNaN(soc) && soc > 0 && soc < 100 && !isNaN(kw) && kw > 0) {
+            points.push({ soc: soc, kw: kw });
+        }
+    }
+    points.sort(function(a, b) {
+        return a.soc - b.soc;
+    });
+    return points;
+}
+
+function formatCurve(points) {
+    var entries = [];
+    for (var i = 0; i < points.length; i++) {
+        entries.push(points[i].soc + ":" + points[i].kw);
+    }
+    return entries.join(",");
+}
+
+// Power limit at soc, or null if the curve doesn't limit it
+function getCurveLimit(soc) {
+    var limit = null;
+    for (var i = 0; i < config.chargeCurve.length; i++) {
+        if (soc >= config.chargeCurve[i].soc) {
+            limit = config.chargeCurve[i].kw;
+        }
+    }
+    return limit;
+}
+
+// Wall power drawn at soc with a charger of rate kW
+function getChargePower(soc, rate) {
+    var limit = getCurveLimit(soc);
+    return (limit !== null && limit < rate) ? limit : rate;
+}
+
+// Time and energy to charge fromSOC -> toSOC, summed per 1% SOC step.
+// Returns { segments: [{ minutes, kw }], minutes, wallKwh, linearMinutes, taperFromSOC }
+function buildChargeProfile(fromSOC, toSOC, rate, efficiency, capacity) {
+    var profile = { segments: [], minutes: 0, wallKwh: 0, linearMinutes: 0, taperFromSOC: null };
+    var soc = fromSOC;
+    while (soc < toSOC) {
+        var next = Math.min(Math.floor(soc) + 1, toSOC);
+        var wallKwh = ((next - soc) / 100) * capacity / efficiency;
+        var kw = getChargePower(soc, rate);
+        var minutes = (wallKwh / kw) * 60;
+
+        var last = profile.segments[profile.segments.length - 1];
+        if (last && last.kw === kw) {
+            last.minutes += minutes;
+            last.toSOC = next;
+        } else {
+            profile.segments.push({ minutes: minutes, kw: kw, fromSOC: soc, toSOC: next });
+        }
+        if (kw < rate && profile.taperFromSOC === null) {
+            profile.taperFromSOC = Math.floor(soc);
+        }
+        profile.minutes += minutes;
+        profile.wallKwh += wallKwh;
+        profile.linearMinutes += (wallKwh / rate) * 60;
+        soc = next;
+    }
+    return profile;
+}
+
+// Power at `elapsed` charging minutes into a profile (last segment's power after the end)
+function getProfileKw(profile, elapsed) {
+    var t = 0;
+    for (var i = 0; i < profile.segments.length; i++) {
+        t += profile.segments[i].minutes;
+        if (elapsed < t) {
+            return profile.segments[i].kw;
+        }
+    }
+    return (profile.segments.length > 0) ? profile.segments[profile.segments.length - 1].kw : 0;
+}
+
+// SOC reached after `elapsed` charging minutes into a profile
+function getProfileSOC(profile, elapsed) {
+    var t = 0;
+    for (var i = 0; i < profile.segments.length; i++) {
+        var seg = profile.segments[i];
+        if (elapsed < t + seg.minutes) {
+            return seg.fromSOC + (seg.toSOC - seg.fromSOC) * (elapsed - t) / seg.minutes;
+        }
+        t += seg.minutes;
+    }
+    return (profile.segments.length > 0) ? profile.segments[profile.segments.length - 1].toSOC : 0;
+}
+
+// Charging minutes into a profile until it reaches soc (0 if it starts above)
+function getProfileMinutesTo(profile, soc) {
+    var t = 0;
+    for (var i = 0; i < profile.segments.length; i++) {
+        var seg = profile.segments[i];
+        if (soc <= seg.fromSOC) {
+            return t;
+        }
+        if (soc < seg.toSOC) {
+            return t + seg.minutes * (soc - seg.fromSOC) / (seg.toSOC - seg.fromSOC);
+        }
+        t += seg.minutes;
+    }
+    return t;
+}
+
+// ============================================================================
+// TEMPERATURE DERATING
+// ============================================================================
+
+// Stored as "0:0.7,5:0.85,10:0.95" (temp °C : rate factor)
+function parseDerating(val) {
+    var rows = [];
+    var entries = val.split(",");
+    for (var i = 0; i < entries.length; i++) {
+        var parts = entries[i].split(":");
+        var temp = parseFloat(parts[0]);
+        var factor = parseFloat(parts[1]);
+        if (!isNaN(temp) && !isNaN(factor) && factor > 0 && factor < 1) {
+            rows.push({ temp: temp, factor: factor });
+        }
+    }
+    rows.sort(function(a, b) {
+        return a.temp - b.temp;
+    });
+    return rows;
+}
+
+function formatDerating(rows) {
+    var entries = [];
+    for (var i = 0; i < rows.length; i++) {
+        entries.push(rows[i].temp + ":" + rows[i].factor);
+    }
+    return entries.join(",");
+}
+
+// Charge rate factor for the colder of pack (v.b.temp) and ambient (v.e.temp):
+// an idle pack cools towards ambient overnight.
+// Returns { factor, temp, source } (temp null if neither metric is available)
+function getDerating() {
+    var result = { factor: 1, temp: null, source: null };
+    if (OvmsMetrics.HasValue("v.b.temp")) {
+        result.temp = getMetric("v.b.temp", 0);
+        result.source = "pack";
+    }
+    if (OvmsMetrics.HasValue("v.e.temp")) {
+        var ambient = getMetric("v.e.temp", 0);
+        if (result.temp === null || ambient < result.temp) {
+            result.temp = ambient;
+            result.source = "ambient";
+        }
+    }
+    if (result.temp === null) {
+        return result;
+    }
+    for (var i = 0; i < config.derating.length; i++) {
+        if (result.temp <= config.derating[i].temp) {
+            result.factor = config.derating[i].factor;
+            break;
+        }
+    }
+    return result;
+}
+
+// ============================================================================
+// SCHEDULE CALCULATION
+// ============================================================================
+
+// needSOC: in opportunistic mode, the SOC the departure can't do without
+// (overspill past the cheap slots goes only this far); null = none
+function calculateSchedule(currentSOC, targetSOC, readyByMin, window, needSOC) {
+    // SOH-aware capacity
+    var effectiveCapacity = getEffectiveCapacity();
+
+    // Minimum range floor raises the target when the car's range per % drops
+    var rangeSOC = getMinRangeSOC();
+    if (rangeSOC !== null && rangeSOC > targetSOC) {
+        targetSOC = rangeSOC;
+    }
+
+    // Energy needed (battery side), drawn from the wall at the learned
+    // rate/efficiency, derated when cold and slowed by the charging curve near full
+    var socNeeded = targetSOC - currentSOC;
+    var kwhNeeded = (socNeeded / 100) * effectiveCapacity;
+    var derating = getDerating();
+    var profile = buildChargeProfile(currentSOC, targetSOC, getEffectiveRate() * derating.factor,
+                                     getEfficiency(), effectiveCapacity);
+    var wallKwh = profile.wallKwh;
+    var hoursNeeded = profile.minutes / 60;
+
+    var derateMinutes = 0;
+    if (derating.factor < 1) {
+        var warmProfile = buildChargeProfile(currentSOC, targetSOC, getEffectiveRate(),
+                                             getEfficiency(), effectiveCapacity);
+        derateMinutes = Math.round(profile.minutes - warmProfile.minutes);
+    }
+
+    // Time references (readyByMin null = no departure deadline)
+    var now = getNowMinute();
+    loadPrices();
+    var cheapest = getCheapestBand();
+    var durationMin = Math.ceil(hoursNeeded * 60);
+
+    // Without a deadline, pick the cheapest slots in the next 24 hours
+    var departure = (readyByMin !== null) ? nextLocalTime(readyByMin, now + MINUTE_MS) : null;
+    var deadline = (departure !== null) ? departure : now + 1440 * MINUTE_MS;
+    var care = config.batteryCare && departure !== null && !window;
+    if (care) {
+        deadline = Math.max(now + MINUTE_MS, departure - config.careBufferMin * MINUTE_MS);
+    }
+
+    // Opportunistic: cheap slots only, unless a departure needs the overspill
+    var plan = null;
+    var reachSOC = targetSOC;
+    var overspillSOC = null;
+    if (window) {
+        // Temporary schedule: one fixed block from the window start
+        var winStart = isInRange(getLocalMinutes(now), window.startMin, window.endMin) ?
+            now : nextLocalTime(window.startMin, now);
+        var winEnd = nextLocalTime(window.endMin, winStart + MINUTE_MS);
+        var winLength = Math.min(durationMin, (winEnd - winStart) / MINUTE_MS);
+        plan = { blocks: [{ start: winStart, end: winStart + winLength * MINUTE_MS }], late: false,
+                 shortMin: durationMin - winLength };
+        if (plan.shortMin > 0) {
+            reachSOC = Math.floor(getProfileSOC(profile, winLength));
+        }
+    } else if (config.mode === "opportunistic") {
+        plan = planCheapestSlots(now, deadline, durationMin, cheapest.rate, care);
+        if (plan.shortMin > 0) {
+            reachSOC = Math.floor(getProfileSOC(profile, durationMin - plan.shortMin));
+            if (readyByMin !== null && needSOC !== null && reachSOC < needSOC) {
+                // Overspill just enough for the departure
+                overspillSOC = needSOC;
+                reachSOC = needSOC;
+                plan = planCheapestSlots(now, deadline,
+                                         Math.ceil(getProfileMinutesTo(profile, needSOC)), null, care);
+            }
+        }
+    }
+
+    // Battery care balancing: bulk charge to the threshold in the cheapest
+    // slots, then top up to the target just before the deadline
+    var topUpMin = 0;
+    var bulkBlocks = null;
+    if (plan === null && care && targetSOC > config.balanceAboveSOC &&
+        currentSOC < config.balanceAboveSOC) {
+        topUpMin = Math.ceil(profile.minutes -
+                             getProfileMinutesTo(profile, config.balanceAboveSOC));
+        var topUpStart = deadline - topUpMin * MINUTE_MS;
+        var bulkPlan = planCheapestSlots(now, topUpStart, durationMin - topUpMin, null, true);
+        if (!bulkPlan.late && topUpStart > now) {
+            bulkBlocks = bulkPlan.blocks;
+            plan = { blocks: appendTopUp(bulkBlocks, topUpMin, deadline), late: false, shortMin: 0 };
+        } else {
+            topUpMin = 0;
+        }
+    }
+
+    if (plan === null) {
+        plan = planCheapestSlots(now, deadline, durationMin, null, care);
+    }
+    var blocks = plan.blocks;
+
+    // Calculate costs per tariff band
+    var breakdown = calculateCostBreakdown(blocks, profile);
+
+    // Current limiting: a lower current in the band with time to spare (see
+    // planBandCurrents). A late or short plan has none anywhere. With battery
+    // care only the bulk charge slows; the top-up stays at full rate.
+    var chargeCurrent = null;
+    var limited = null;
+    if (config.currentMin > 0 && !plan.late && reachSOC === targetSOC) {
+        var fullRate = getEffectiveRate() * derating.factor;
+        if (window) {
+            limited = planBandCurrents(blocks, currentSOC, targetSOC,
+                                       { start: winStart, end: winEnd, fixed: true },
+                                       fullRate, breakdown.totalCost);
+        } else if (bulkBlocks !== null) {
+            var bulk = planBandCurrents(bulkBlocks, currentSOC, config.balanceAboveSOC,
+                                        { start: now, end: topUpStart, maxRate: null, preferLate: true },
+                                        fullRate, calculateCostBreakdown(bulkBlocks, profile).totalCost);
+            if (bulk !== null) {
+                limited = chainBlockProfiles(appendTopUp(bulk.blocks, topUpMin, deadline),
+                                             currentSOC, targetSOC, bulk.kw, fullRate);
+                limited.amps = bulk.amps;
+                if (limited.soc < targetSOC) {
+                    limited = null;
+                }
+            }
+        } else {
+            limited = planBandCurrents(blocks, currentSOC, targetSOC,
+                                       { start: now, end: deadline, preferLate: care,
+                                         maxRate: (config.mode === "opportunistic" &&
+                                                   overspillSOC === null) ? cheapest.rate : null },
+                                       fullRate, breakdown.totalCost);
+        }
+    }
+    if (limited !== null) {
+        chargeCurrent = limited.amps;
+        blocks = limited.blocks;
+        breakdown = calculateCostBreakdown(blocks, limited.profiles);
+        hoursNeeded = limited.minutes / 60;
+    }
+
+    // Cheap window start as it next occurs (or now, if already inside it)
+    var cheapStart = isInRange(getLocalMinutes(now), cheapest.startMin, cheapest.endMin) ?
+        now : nextLocalTime(cheapest.startMin, now);
+    var mustStartEarly = !window && prices.rates === null && blocks.length > 0 &&
+        blocks[0].start < cheapStart && getRateAt(getLocalMinutes(blocks[0].start)) > cheapest.rate;
+    // Time the pack sits above 80% before departure
+    var minutesAbove80 = null;
+    if (departure !== null) {
+        minutesAbove80 = 0;
+        if (reachSOC > 80) {
+            var at80 = (limited !== null) ? getChainTimeAt(limited, 80) :
+                getBlockTimeAt(blocks, getProfileMinutesTo(profile, 80));
+            minutesAbove80 = Math.max(0, Math.round((departure - Math.max(at80, now)) / MINUTE_MS));
+        }
+    }
+
+    var cheapHours = 0;
+    var overspillHours = 0;
+    for (var i = 0; i < breakdown.bands.length; i++) {
+        if (breakdown.bands[i].label === "dynamic") {
+            continue;
+        }
+        if (breakdown.bands[i].rate <= cheapest.rate) {
+            cheapHours += breakdown.bands[i].minutes / 60;
+        } else {
+            overspillHours += breakdown.bands[i].minutes / 60;
+        }
+    }
+
+    return {
+        targetSOC: targetSOC,
+        rangeSOC: rangeSOC,
+        kwhNeeded: kwhNeeded,
+        wallKwh: wallKwh,
+        hoursNeeded: hoursNeeded,
+        taperMinutes: Math.round(profile.minutes - profile.linearMinutes),
+        taperFromSOC: profile.taperFromSOC,
+        derateMinutes: derateMinutes,
+        derating: derating,
+        blocks: blocks,
+        scheduledStart: (blocks.length > 0) ? blocks[0].start : null,
+        scheduledEnd: (blocks.length > 0) ?
+            Math.ceil(blocks[blocks.length - 1].end / MINUTE_MS) * MINUTE_MS : null,
+        mustStartEarly: mustStartEarly,
+        late: plan.late,
+        reachSOC: reachSOC,
+        chargeCurrent: chargeCurrent,
+        topUpMin: topUpMin,
+        minutesAbove80: minutesAbove80,
+        stopAtEnd: !!window || (config.mode === "opportunistic" && overspillSOC === null),
+        overspillSOC: overspillSOC,
+        pricesUsed: prices.rates !== null,
+        pricesStale: prices.rates !== null && prices.lastSlotEnd < deadline,
+        cheapHours: cheapHours,
+        overspillHours: overspillHours,
+        totalCost: breakdown.totalCost,
+        costBands: breakdown.bands
+    };
+}
+
+// Battery care: bulk charge blocks, then the topUpMin-minute top-up ending at
+// deadline. A top-up less than a slot after the bulk charge runs straight on
+// from it instead (no stop and restart for a few minutes' gap)
+function appendTopUp(blocks, topUpMin, deadline) {
+    var result = blocks.slice();
+    var last = result[result.length - 1];
+    var start = deadline - topUpMin * MINUTE_MS;
+    if (last && start - last.end < SLOT_MS) {
+        start = last.end;
+    }
+    var end = start + topUpMin * MINUTE_MS;
+    if (last && last.end === start && !last.amps) {
+        result[result.length - 1] = { start: last.start, end: end };
+    } else {
+        result.push({ start: start, end: end });
+    }
+    return result;
+}
+
+// Charge current per tariff band. The cheapest plan at full rate fills every
+// band cheaper than the dearest one it uses, so only that band has time to
+// spare: its slots run at the lowest current that still reaches toSOC at no
+// more than fullCost, the cheaper bands stay at full rate. span says where the
+// charge may go (see placeCharge).
+// Returns a chain (see chainBlockProfiles) plus { amps, kw }, or null if no
+// lower current fits
+function planBandCurrents(fullBlocks, fromSOC, toSOC, span, fullRate, fullCost) {
+    var pieces = splitBlocksAtSlots(fullBlocks);
+    if (pieces.length === 0) {
+        return null;
+    }
+    var bandRate = 0;
+    for (var i = 0; i < pieces.length; i++) {
+        bandRate = Math.max(bandRate, pieces[i].rate);
+    }
+
+    // A higher current only ever fits as well and costs no more, so binary search
+    var best = null;
+    var lowAmps = config.currentMin;
+    var highAmps = getMaxCurrent() - 1;
+    while (lowAmps <= highAmps) {
+        var amps = Math.floor((lowAmps + highAmps) / 2);
+        var chain = fitBandCurrent(amps, bandRate, fromSOC, toSOC, span, fullRate);
+        if (chain !== null &&
+            calculateCostBreakdown(chain.blocks, chain.profiles).totalCost <= fullCost + 0.005) {
+            best = chain;
+            highAmps = amps - 1;
+        } else {
+            lowAmps = amps + 1;
+        }
+    }
+    return (best !== null && best.kw < fullRate) ? best : null;
+}
+
+// Shortest charge placed in span that reaches toSOC with slots at bandRate or
+// dearer run at amps and cheaper ones at full rate. More time only ever
+// reaches further, so binary search on the minutes.
+// Returns the chain plus { amps, kw }, or null if the span is too short
+function fitBandCurrent(amps, bandRate, fromSOC, toSOC, span, fullRate) {
+    var kw = Math.min(amps * getChargeVoltage() / 1000, fullRate);
+    var best = null;
+    var lowMin = 1;
+    var highMin = Math.floor((span.end - span.start) / MINUTE_MS);
+    while (lowMin <= highMin) {
+        var minutes = Math.floor((lowMin + highMin) / 2);
+        var plan = placeCharge(span, minutes);
+        var chain = (plan.late || plan.shortMin > 0) ? null :
+            chainBlockProfiles(assignBandCurrent(plan.blocks, bandRate, amps), fromSOC, toSOC,
+                               kw, fullRate);
+        if (chain !== null && chain.soc >= toSOC) {
+            best = chain;
+            highMin = minutes - 1;
+        } else {
+            lowMin = minutes + 1;
+        }
+    }
+    if (best !== null) {
+        best.amps = amps;
+        best.kw = kw;
+    }
+    return best;
+}
+
+// minutes of charging placed as the full-rate plan places it: one fixed block
+// from span.start (temporary window), or the cheapest slots before span.end
+function placeCharge(span, minutes) {
+    if (span.fixed) {
+        return { blocks: [{ start: span.start, end: span.start + minutes * MINUTE_MS }],
+                 late: false, shortMin: 0 };
+    }
+    return planCheapestSlots(span.start, span.end, minutes, span.maxRate, span.preferLate);
+}
+
+// Blocks split at :00/:30, as priced slots: [{ start, end, rate }]
+function splitBlocksAtSlots(blocks) {
+    var pieces = [];
+    for (var i = 0; i < blocks.length; i++) {
+        var t = blocks[i].start;
+        while (t < blocks[i].end) {
+            var end = Math.min(t + (30 - getLocalMinutes(t) % 30) * MINUTE_MS, blocks[i].end);
+            pieces.push({ start: t, end: end, rate: getRateAtTime(t) });
+            t = end;
+        }
+    }
+    return pieces;
+}
+
+// Blocks with amps set on slots at bandRate or dearer (null = full rate),
+// adjacent slots at the same current merged
+function assignBandCurrent(blocks, bandRate, amps) {
+    var pieces = splitBlocksAtSlots(blocks);
+    var result = [];
+    for (var i = 0; i < pieces.length; i++) {
+        var pieceAmps = (pieces[i].rate >= bandRate) ? amps : null;
+        var last = result[result.length - 1];
+        if (last && last.end === pieces[i].start && last.amps === pieceAmps) {
+            last.end = pieces[i].end;
+        } else {
+            result.push({ start: pieces[i].start, end: pieces[i].end, amps: pieceAmps });
+        }
+    }
+    return result;
+}
+
+// Charge through blocks from fromSOC, each at its own power (kw where amps is
+// set, fullRate otherwise), until toSOC: the block reaching it is trimmed and
+// any after it dropped.
+// Returns { blocks, profiles (one per block, from the SOC it starts at), soc, minutes }
+function chainBlockProfiles(blocks, fromSOC, toSOC, kw, fullRate) {
+    var chain = { blocks: [], profiles: [], soc: fromSOC, minutes: 0 };
+    for (var i = 0; i < blocks.length && chain.soc < toSOC; i++) {
+        var profile = buildChargeProfile(chain.soc, toSOC, blocks[i].amps ? kw : fullRate,
+                                         getEfficiency(), getEffectiveCapacity());
+        var length = (blocks[i].end - blocks[i].start) / MINUTE_MS;
+        var block = { start: blocks[i].start, end: blocks[i].end, amps: blocks[i].amps || null };
+        if (profile.minutes <= length) {
+            length = profile.minutes;
+            block.end = Math.min(block.end, block.start + Math.ceil(length) * MINUTE_MS);
+            chain.soc = toSOC;
+        } else {
+            chain.soc = getProfileSOC(profile, length);
+        }
+        chain.blocks.push(block);
+        chain.profiles.push(profile);
+        chain.minutes += length;
+    }
+    return chain;
+}
+
+// Time (epoch ms) a chain (see chainBlockProfiles) reaches soc
+function getChainTimeAt(chain, soc) {
+    for (var i = 0; i < chain.blocks.length; i++) {
+        var minutes = getProfileMinutesTo(chain.profiles[i], soc);
+        if (minutes * MINUTE_MS <= chain.blocks[i].end - chain.blocks[i].start) {
+            return chain.blocks[i].start + minutes * MINUTE_MS;
+        }
+    }
+    return (chain.blocks.length > 0) ? chain.blocks[chain.blocks.length - 1].end : 0;
+}
+
+// Cheapest set of 30-minute slots between now and deadline (epoch ms) covering
+// durationMin minutes of charging. Slots are aligned to :00/:30 (the first one
+// may be partial). Among equal prices, slots next to ones already chosen win
+// (later first, so overspill runs on after a cheap window like a single block
+// would), otherwise the earliest (the latest with preferLate, so the charge
+// finishes near the deadline). If there isn't enough time, every slot is
+// used and charging continues past the deadline (late). With maxRate set,
+// dearer slots are never used and any shortfall is left unscheduled instead.
+// Returns { blocks: [{ start, end }], late, shortMin } with adjacent slots merged.
+function planCheapestSlots(now, deadline, durationMin, maxRate, preferLate) {
+    var slots = [];
+    var t = now;
+    var usable = 0;
+    while (t < deadline) {
+        var end = Math.min(t + (30 - getLocalMinutes(t) % 30) * MINUTE_MS, deadline);
+        var rate = getRateAtTime(t);
+        // Slots over maxRate start out "chosen" so they're never picked, then are dropped
+        var excluded = maxRate !== null && rate > maxRate;
+        slots.push({ start: t, end: end, rate: rate, chosen: excluded, excluded: excluded });
+        if (!excluded) {
+            usable++;
+        }
+        t = end;
+    }
+
+    var remaining = durationMin * MINUTE_MS;
+    var chosen = [];
+    while (remaining > 0 && chosen.length < usable) {
+        var pick = -1;
+        var pickAdjacent = false;
+        for (var i = 0; i < slots.length; i++) {
+            if (slots[i].chosen) {
+                continue;
+            }
+            var adjacent = (i > 0 && slots[i - 1].chosen && !slots[i - 1].excluded) ||
+                           (i < slots.length - 1 && slots[i + 1].chosen && !slots[i + 1].excluded);
+            var tieWins = adjacent || (preferLate && !pickAdjacent);
+            if (pick < 0 || slots[i].rate < slots[pick].rate ||
+                (slots[i].rate === slots[pick].rate && tieWins)) {
+                pick = i;
+                pickAdjacent = adjacent;
+            }
+        }
+
+        var slot = slots[pick];
+        var length = Math.min(slot.end - slot.start, remaining);
+        slot.chosen = true;
+        // A partial slot hugs the block it extends
+        var chosenBefore = pick > 0 && slots[pick - 1].chosen && !slots[pick - 1].excluded;
+        var chosenAfter = pick < slots.length - 1 && slots[pick + 1].chosen &&
+                          !slots[pick + 1].excluded;
+        if (!chosenBefore && (chosenAfter || preferLate)) {
+            chosen.push({ start: slot.end - length, end: slot.end });
+        } else {
+            chosen.push({ start: slot.start, end: slot.start + length });
+        }
+        remaining -= length;
+    }
+
+    var late = remaining > 0 && maxRate === null;
+    if (late) {
+        chosen.push({ start: deadline, end: deadline + remaining });
+    }
+
+    chosen.sort(function(a, b) {
+        return a.start - b.start;
+    });
+
+    var blocks = [];
+    for (var j = 0; j < chosen.length; j++) {
+        var last = blocks[blocks.length - 1];
+        if (last && last.end === chosen[j].start) {
+            last.end = chosen[j].end;
+        } else {
+            blocks.push({ start: chosen[j].start, end: chosen[j].end });
+        }
+    }
+    return { blocks: blocks, late: late, shortMin: late ? 0 : remaining / MINUTE_MS };
+}
+
+function describeBlocks(blocks) {
+    var parts = [];
+    for (var i = 0; i < blocks.length; i++) {
+        parts.push(formatClock(blocks[i].start) + "-" + formatClock(blocks[i].end) +
+                   (blocks[i].amps ? " at " + blocks[i].amps + " A" : ""));
+    }
+    return parts.join(", ");
+}
+
+// Epoch ms reached after `elapsed` charging minutes through the blocks
+function getBlockTimeAt(blocks, elapsed) {
+    var remaining = elapsed * MINUTE_MS;
+    for (var i = 0; i < blocks.length; i++) {
+        var length = blocks[i].end - blocks[i].start;
+        if (remaining <= length) {
+            return blocks[i].start + remaining;
+        }
+        remaining -= length;
+    }
+    return (blocks.length > 0) ? blocks[blocks.length - 1].end : 0;
+}
+
+// Index of the block containing epoch ms t, or -1
+function findBlockAt(blocks, t) {
+    for (var i = 0; i < blocks.length; i++) {
+        if (t >= blocks[i].start && t < blocks[i].end) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+function describeMode() {
+    if (config.mode === "opportunistic") {
+        return "opportunistic (cheap rate only, stop at window end unless departure needs more)";
+    }
+    return "ready-by (reach target by departure)";
+}
+
+// ============================================================================
+// NOTIFICATIONS
+// ============================================================================
+
+function notify(message) {
+    var msg = "[" + timestamp() + "] " + message;
+    print(msg + "\n");
+    state.lastNotification = { time: new Date().getTime(), text: message };
+
+    try {
+        OvmsNotify.Raise("info", "charge.smart", msg);
+    } catch (e) {
+        // Notification failed, but we printed to console
+    }
+}
+
+// ============================================================================
+// SCHEDULE PERSISTENCE
+// ============================================================================
+
+// The active schedule, monitoring flag, solar charge and session are written
+// to config.stateFile so a script reload or reboot mid-session carries on with
+// the same plan and energy totals. The file is rewritten at the end of a tick
+// only when the schedule part changed (a block starting or ending, a stop, a
+// retry step): frequent VFS.Save calls have crashed the module before, so the
+// session totals kept in memory go along with those writes and no others. It
+// is read back on the first tick, once the plug state can be checked (no
+// metric reads at load). With v.c.kwh the energy drawn since the last write
+// is still counted; without it the session is flagged partial and not learned from.
+var SAVED_STATE_VERSION = 2;
+var SAVED_STATE_MAX_AGE_MS = 7 * 24 * 3600000;  // Module down this long: replan as a new plug-in
+var SAVED_STATE_KEYS = [
+    "monitoring", "scheduledStart", "scheduledEnd", "scheduledBlocks", "activeBlock",
+    "scheduledCharging", "targetReached", "manualCharging", "retry", "scheduledKwhNeeded",
+    "scheduledCost", "scheduledCostBreakdown", "scheduledTaperMin", "scheduledDerateMin",
+    "scheduledReachSOC", "scheduledMessage", "scheduledStopAtEnd", "scheduledCurrent",
+    "scheduledAbove80Min", "commandedCurrent", "chargeLimit", "skipReason", "tripMiles",
+    "precondition", "activePlan"
+];
+
+// Schedule part of what to keep while plugged in, or null when there's
+// nothing to restore
+function getSavedState() {
+    if (!state.lastPluggedIn) {
+        return null;
+    }
+    var saved = { v: SAVED_STATE_VERSION };
+    for (var i = 0; i < SAVED_STATE_KEYS.length; i++) {
+        saved[SAVED_STATE_KEYS[i]] = state[SAVED_STATE_KEYS[i]];
+    }
+    saved.sessionStart = (state.session !== null) ? state.session.plugTime : null;
+    saved.solar = { charging: state.solar.charging, startSOC: state.solar.startSOC,
+                    belowSince: state.solar.belowSince };
+    return saved;
+}
+
+// Called at the end of ticker.60
+function saveState() {
+    try {
+        if (state.restorePending) {
+            return;
+        }
+        var saved = getSavedState();
+        var body = (saved !== null) ? JSON.stringify(saved) : "{}";
+        if (body === state.savedBody) {
+            return;
+        }
+        if (saved !== null) {
+            saved.session = state.session;
+            saved.savedAt = new Date().getTime();
+        }
+        if (writeFile(config.stateFile, (saved !== null) ? JSON.stringify(saved) : "{}")) {
+            state.savedBody = body;
+        }
+    } catch (e) {
+        print("saveState error: " + e.message + "\n");
+    }
+}
+
+// Take up the saved schedule if the car is still plugged in, instead of
+// treating it as a fresh plug-in
+function restoreState(plugged) {
+    var saved = null;
+    try {
+        saved = JSON.parse(readFile(config.stateFile) || "{}");
+    } catch (e) {
+        print("Saved schedule unreadable: " + e.message + "\n");
+    }
+    if (saved === null || saved.v !== SAVED_STATE_VERSION) {
+        return;
+    }
+    if (!plugged) {
+        print("Saved schedule dropped: unplugged since it was saved " +
+              formatDateTime(saved.savedAt) + "\n");
+        return;
+    }
+    if (new Date().getTime() - saved.savedAt > SAVED_STATE_MAX_AGE_MS) {
+        print("Saved schedule dropped: saved " + formatDateTime(saved.savedAt) + "\n");
+        return;
+    }
+
+    for (var i = 0; i < SAVED_STATE_KEYS.length; i++) {
+        if (saved.hasOwnProperty(SAVED_STATE_KEYS[i])) {
+            state[SAVED_STATE_KEYS[i]] = saved[SAVED_STATE_KEYS[i]];
+        }
+    }
+    // A solar charge carries on; processSolar ends it this tick if the charge
+    // stopped meanwhile, and re-plans the night from there
+    if (saved.solar) {
+        state.solar.charging = saved.solar.charging;
+        state.solar.startSOC = saved.solar.startSOC;
+        state.solar.belowSince = saved.solar.belowSince;
+    }
+    state.session = saved.session || null;
+    if (state.session !== null) {
+        // Charging right through the restart: count the minutes since the save
+        if (saved.monitoring && isCharging()) {
+            state.session.chargeMinutes += Math.round((new Date().getTime() - saved.savedAt) / 60000);
+        }
+        if (!OvmsMetrics.HasValue("v.c.kwh")) {
+            state.session.partial = true;
+        }
+    }
+    state.lastPluggedIn = true;
+    // The restored schedule may be priced from the file: billing and status need it too
+    loadPrices();
+    print("Schedule restored (saved " + formatDateTime(saved.savedAt) + ")" +
+          (state.scheduledBlocks !== null ? ": " + describeBlocks(state.scheduledBlocks) : "") +
+          (state.monitoring ? ", monitoring" : "") + "\n");
+}
+
+// ============================================================================
+// PLUG-IN DETECTION (called by ticker, not event)
+// ============================================================================
+
+function checkPlugInState() {
+    var currentlyPlugged = isPluggedIn();
+
+    // First tick after load: pick up where the saved schedule left off
+    if (state.restorePending) {
+        state.restorePending = false;
+        restoreState(currentlyPlugged);
+    }
+
+    // Detect state change: unplugged -> plugged
+    if (currentlyPlugged && !state.lastPluggedIn) {
+        print("Plug-in detected\n");
+        onPlugInDetected();
+    }
+
+    // Detect state change: plugged -> unplugged
+    if (!currentlyPlugged && state.lastPluggedIn) {
+        print("Unplug detected\n");
+        onUnplugDetected();
+    }
+
+    state.lastPluggedIn = currentlyPlugged;
+}
+
+function onPlugInDetected() {
+    var currentSOC = getSOC();
+    startSession(currentSOC);
+    learnConsumption();
+    planCharge(currentSOC, state.forceNext);
+    state.forceNext = false;
+}
+
+// Opportunistic mode: the SOC the departure can't do without, which may run
+// past the cheap slots. An override's target, a trip or the range floor that
+// set the target need all of it; otherwise just the range floor, if any.
+function getDepartureNeedSOC(plan) {
+    if (config.mode !== "opportunistic") {
+        return null;
+    }
+    if (plan.source === "temporary" || plan.source === "critical" || plan.trip || plan.rangeFloor) {
+        return plan.targetSOC;
+    }
+    var rangeSOC = getMinRangeSOC();
+    return (rangeSOC !== null) ? Math.min(plan.targetSOC, rangeSOC) : null;
+}
+
+// Skip threshold for a plan's target (same gap below it as for the default target)
+function getSkipThreshold(targetSOC) {
+    return targetSOC - Math.max(0, config.targetSOC - config.skipIfAbove);
+}
+
+// Reason to skip this session, or null to charge
+function getSkipReason(soc, targetSOC, kwhNeeded) {
+    var threshold = getSkipThreshold(targetSOC);
+    if (soc > threshold) {
+        return soc.toFixed(0) + "% is above skip threshold " + threshold + "% (target " +
+               targetSOC + "%)";
+    }
+    if (kwhNeeded < config.minChargeKwh) {
+        return "only " + kwhNeeded.toFixed(1) + " kWh needed (minimum " +
+               config.minChargeKwh.toFixed(1) + " kWh)";
+    }
+    return null;
+}
+
+// Pick the session plan and schedule the charge for it
+function planCharge(currentSOC, force) {
+    state.activePlan = getSessionPlan();
+    checkOverrideDone(currentSOC);
+    state.activePlan = getSessionPlan();
+    state.skipReason = null;
+    var plan = state.activePlan;
+
+    // The minimum range floor can raise the target (calculateSchedule does the same)
+    var rangeSOC = getMinRangeSOC();
+    if (rangeSOC !== null && rangeSOC > plan.targetSOC) {
+        plan.targetSOC = rangeSOC;
+        plan.rangeFloor = true;
+    }
+
+    // Charge for the climate draw too when pre-conditioning will run
+    var preSOC = Math.min(getPreconditionSOC(getPlanReadyByMin(plan)), 100 - plan.targetSOC);
+    if (preSOC > 0) {
+        plan.targetSOC += preSOC;
+        plan.preconditionSOC = preSOC;
+    }
+
+    // Already at target?
+    if (currentSOC >= plan.targetSOC) {
+        notify("Already at " + currentSOC.toFixed(0) + "% (target " +
+               plan.targetSOC + "%). No charge needed.");
+        state.skipReason = "at target";
+        state.scheduledStart = null;
+        state.scheduledBlocks = null;
+        return;
+    }
+
+    // Calculate schedule
+    var schedule = calculateSchedule(currentSOC, plan.targetSOC, getPlanReadyByMin(plan),
+                                     plan.window || null, getDepartureNeedSOC(plan));
+
+    // Not worth a session? (overrides always charge)
+    var skip = (force || plan.source === "temporary" || plan.source === "critical") ?
+        null : getSkipReason(currentSOC, plan.targetSOC, schedule.kwhNeeded);
+    if (skip !== null) {
+        notify("Skipping charge: " + skip + ". Use charging.force() to charge anyway.");
+        state.skipReason = skip;
+        state.scheduledStart = null;
+        state.scheduledBlocks = null;
+        return;
+    }
+
+    if (schedule.blocks.length === 0) {
+        notify("No cheap-rate time before next departure (opportunistic mode). Not scheduled.");
+        state.scheduledStart = null;
+        state.scheduledBlocks = null;
+        return;
+    }
+
+    // Overspill for the departure stops at what it needs, not at the window end
+    var fullTargetSOC = plan.targetSOC;
+    if (schedule.overspillSOC !== null && schedule.overspillSOC < plan.targetSOC) {
+        plan.targetSOC = schedule.overspillSOC;
+        plan.needOnly = true;
+    }
+
+    // Store schedule
+    state.scheduledStart = schedule.scheduledStart;
+    state.scheduledEnd = schedule.scheduledEnd;
+    state.scheduledBlocks = schedule.blocks;
+    state.activeBlock = -1;
+    state.targetReached = false;
+    state.scheduledKwhNeeded = schedule.kwhNeeded;
+    state.scheduledCost = schedule.totalCost;
+    state.scheduledTaperMin = schedule.taperMinutes;
+    state.scheduledDerateMin = schedule.derateMinutes;
+    state.scheduledReachSOC = schedule.reachSOC;
+    state.scheduledStopAtEnd = schedule.stopAtEnd;
+    state.scheduledCurrent = schedule.chargeCurrent;
+    state.scheduledAbove80Min = schedule.minutesAbove80;
+    state.session.predictedKwh = schedule.wallKwh;
+    state.session.predictedHours = schedule.hoursNeeded;
+    state.scheduledCostBreakdown = { totalCost: schedule.totalCost, bands: schedule.costBands };
+
+    // Build message
+    var msg = "Scheduled for " + formatClock(schedule.scheduledStart) +
+              ". Will reach " + schedule.reachSOC + "% by " + formatClock(schedule.scheduledEnd) +
+              ". Est. cost \u00A3" + schedule.totalCost.toFixed(2);
+
+    if (plan.needOnly) {
+        msg += " (standard rate only up to what the departure needs, target " +
+               fullTargetSOC + "%)";
+    } else if (schedule.reachSOC < plan.targetSOC) {
+        msg += (plan.window ? " (window too short" : " (cheap rate only") +
+               ", target " + plan.targetSOC + "%)";
+    } else if (schedule.late) {
+        msg += (plan.source === "critical" ? " [WARNING] CANNOT reach target by ready-by" :
+                " (cannot reach target by ready-by)");
+    } else if (schedule.mustStartEarly) {
+        msg += " (must start early)";
+    } else if (schedule.overspillHours > 0) {
+        msg += " (includes " + schedule.overspillHours.toFixed(1) + "h at standard rate)";
+    }
+
+    if (plan.preconditionSOC) {
+        msg += ". Includes +" + plan.preconditionSOC + "% for " + config.preconditionMin +
+               " min pre-conditioning";
+    }
+
+    if (schedule.derateMinutes > 0) {
+        msg += ". +" + schedule.derateMinutes + " min for " +
+               schedule.derating.temp.toFixed(0) + "\u00B0C " + schedule.derating.source;
+    }
+
+    if (schedule.taperMinutes > 0) {
+        msg += ". Taper above " + schedule.taperFromSOC + "% adds " + schedule.taperMinutes + " min";
+    }
+
+    if (schedule.blocks.length > 1) {
+        msg += ". Blocks: " + describeBlocks(schedule.blocks);
+    }
+
+    if (schedule.topUpMin > 0) {
+        msg += ". Balancing top-up from " + config.balanceAboveSOC + "% (" + schedule.topUpMin +
+               " min)";
+    }
+    if (config.batteryCare && schedule.minutesAbove80 !== null && schedule.minutesAbove80 > 0) {
+        msg += ". Above 80% for " + formatDuration(schedule.minutesAbove80) + " before departure";
+    }
+
+    if (schedule.costBands.length > 1 || schedule.pricesUsed) {
+        msg += ". Breakdown: " + formatCostBreakdown(state.scheduledCostBreakdown);
+    }
+
+    if (schedule.pricesStale) {
+        msg += ". Price file ends " + formatDateTime(prices.lastSlotEnd) + ", tariff used after";
+    } else if (!schedule.pricesUsed && config.priceFile && prices.status !== "file missing") {
+        msg += ". Price file " + prices.status + ", using tariff";
+    }
+
+    if (plan.source !== "default") {
+        msg += ". Plan: " + describePlan(plan);
+    }
+
+    if (override !== null) {
+        msg = describeOverride() + ". " + msg;
+    }
+
+    state.scheduledMessage = msg;
+    notify(msg);
+}
+
+function onUnplugDetected() {
+    if (state.activePlan !== null && state.activePlan.source === "temporary") {
+        clearOverride("session ended");
+    } else {
+        checkOverrideDone(getSOC());
+    }
+    endSession(state.scheduledCharging || state.monitoring ? "unplugged" : "stopped");
+    state.scheduledStart = null;
+    state.scheduledEnd = null;
+    state.scheduledBlocks = null;
+    state.activeBlock = -1;
+    state.targetReached = false;
+    state.scheduledCharging = false;
+    state.manualCharging = false;
+    state.retry = null;
+    state.scheduledKwhNeeded = null;
+    state.scheduledCost = null;
+    state.scheduledCostBreakdown = null;
+    state.scheduledTaperMin = 0;
+    state.scheduledDerateMin = 0;
+    state.scheduledReachSOC = null;
+    state.scheduledStopAtEnd = false;
+    state.skipReason = null;
+    state.forceNext = false;
+    state.tripMiles = null;
+    state.solar.charging = false;
+    state.solar.aboveSince = null;
+    state.precondition.departure = null;
+    state.precondition.status = null;
+    state.precondition.retryAt = null;
+    state.scheduledCurrent = null;
+    state.scheduledAbove80Min = null;
+    restoreChargeCurrent();
+    restoreChargeLimit();
+    state.chargeLimit.status = "none";
+    state.scheduledMessage = null;
+    state.activePlan = null;
+    state.monitoring = false;
+    print("Schedule cleared\n");
+}
+
+// ============================================================================
+// SESSION HISTORY
+// ============================================================================
+
+function startSession(soc) {
+    state.session = {
+        plugTime: new Date().getTime(),
+        startSOC: soc,
+        kwh: 0,
+        cost: 0,
+        chargeMinutes: 0,
+        bands: {},          // label -> { kwh, cost }
+        lastKwh: null,      // Last v.c.kwh reading (resets per charge)
+        powerSum: 0,        // v.c.power samples while charging (kW)
+        powerSamples: 0,
+        predictedKwh: null, // Wall kWh / hours the schedule expected
+        predictedHours: null,
+        stopReason: null,
+        stopTarget: null,   // Target when we (or the vehicle limit) stopped, for overshoot
+        partial: false      // Restored without v.c.kwh: energy while the module was down is missing
+    };
+}
+
+// Tariff label and rate (£/kWh) in force at epoch ms
+function getRateInfoAt(ms) {
+    var rate = getDynamicRate(ms);
+    if (rate !== null) {
+        return { label: "dynamic", rate: rate };
+    }
+    var d = new Date(ms);
+    var idx = getBandIndexAt(d.getHours() * 60 + d.getMinutes());
+    if (idx < 0) {
+        return { label: "standard", rate: config.standardRate };
+    }
+    var band = getTariffBands()[idx];
+    return { label: describeBand(band), rate: band.rate };
+}
+
+// Add kWh at a band's rate to the session and its per-band totals
+function addSessionEnergy(session, info, kwh) {
+    if (kwh <= 0) {
+        return;
+    }
+    var band = session.bands[info.label] || { kwh: 0, cost: 0 };
+    band.kwh += kwh;
+    band.cost += kwh * info.rate;
+    session.bands[info.label] = band;
+    session.kwh += kwh;
+    session.cost += kwh * info.rate;
+}
+
+// Accumulate energy delivered since the last tick (called by ticker.60).
+// solarCharging is the solar state the tick began with: a handover or end
+// this tick still bills the minute before it as solar.
+function trackSession(solarCharging) {
+    try {
+        var session = state.session;
+        if (session === null) {
+            return;
+        }
+
+        var charging = isCharging();
+        var power = charging ? getMetric("v.c.power", 0) : 0;
+        if (power > 0 && getCurveLimit(getSOC()) === null && state.commandedCurrent === null) {
+            // Learn the flat, warm charger rate only: not the tapered end of
+            // the curve, and with cold derating taken back out
+            session.powerSum += power / getDerating().factor;
+            session.powerSamples++;
+        }
+
+        var delta = 0;
+        if (OvmsMetrics.HasValue("v.c.kwh")) {
+            // v.c.kwh restarts from zero on each new charge
+            var kwh = getMetric("v.c.kwh", 0);
+            if (session.lastKwh !== null) {
+                delta = (kwh >= session.lastKwh) ? kwh - session.lastKwh : kwh;
+            }
+            session.lastKwh = kwh;
+        } else {
+            // No energy counter: integrate power over the 60 s tick
+            delta = power / 60;
+        }
+
+        if (delta > 0) {
+            // Only the part of the draw that export covered is solar
+            var solarKwh = solarCharging ? delta * getSolarShare() : 0;
+            addSessionEnergy(session, { label: "solar", rate: config.solarRate }, solarKwh);
+            addSessionEnergy(session, getRateInfoAt(new Date().getTime()), delta - solarKwh);
+        }
+
+        if (charging) {
+            session.chargeMinutes++;
+        }
+    } catch (e) {
+        print("trackSession error: " + e.message + "\n");
+    }
+}
+
+// Append the finished session to the history log (sessions with no energy are skipped)
+function endSession(reason) {
+    var session = state.session;
+    state.session = null;
+    if (session === null || session.kwh < 0.05) {
+        return;
+    }
+
+    var socEnd = getSOC();
+    learnFromSession(session, socEnd);
+
+    var bands = [];
+    for (var label in session.bands) {
+        if (session.bands.hasOwnProperty(label)) {
+            bands.push([label, round2(session.bands[label].kwh), round2(session.bands[label].cost)]);
+        }
+    }
+
+    var entry = {
+        t: session.plugTime,
+        end: new Date().getTime(),
+        soc0: Math.round(session.startSOC),
+        soc1: Math.round(socEnd),
+        kwh: round2(session.kwh),
+        pkwh: (session.predictedKwh !== null) ? round2(session.predictedKwh) : null,
+        cost: round2(session.cost),
+        min: session.chargeMinutes,
+        stop: session.stopReason || reason,
+        over: (session.stopTarget !== null) ? Math.round((socEnd - session.stopTarget) * 10) / 10 : null,
+        bands: bands
+    };
+    appendHistory(JSON.stringify(entry));
+}
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+// Read-modify-write once per session only (frequent VFS.Save calls crashed
+// v2.0.x); the oldest lines are dropped to keep the file under the size cap
+function appendHistory(line) {
+    var existing = readFile(config.historyFile) || "";
+    var lines = existing.split("\n");
+    var kept = [];
+    for (var i = 0; i < lines.length; i++) {
+        if (lines[i] !== "") {
+            kept.push(lines[i]);
+        }
+    }
+    kept.push(line);
+
+    var data = kept.join("\n") + "\n";
+    while (data.length > config.historyMaxBytes && kept.length > 1) {
+        kept.shift();
+        data = kept.join("\n") + "\n";
+    }
+    writeFile(config.historyFile, data);
+}
+
+function loadHistory() {
+    var text = readFile(config.historyFile);
+    var entries = [];
+    if (text === null) {
+        return entries;
+    }
+    var lines = text.split("\n");
+    for (var i = 0; i < lines.length; i++) {
+        try {
+            if (lines[i] !== "") {
+                entries.push(JSON.parse(lines[i]));
+            }
+        } catch (e) {
+            // Skip corrupt line
+        }
+    }
+    return entries;
+}
+
+function formatDuration(minutes) {
+    return Math.floor(minutes / 60) + "h" + pad(Math.round(minutes % 60)) + "m";
+}
+
+function formatSession(entry) {
+    var d = new Date(entry.t);
+    return DAY_NAMES[d.getDay()] + " " + pad(d.getDate()) + "/" + pad(d.getMonth() + 1) + " " +
+           formatTime(d.getHours(), d.getMinutes()) + "  " + entry.soc0 + "->" + entry.soc1 + "%  " +
+           entry.kwh.toFixed(1) + " kWh  \u00A3" + entry.cost.toFixed(2) + "  " +
+           formatDuration(entry.min) + "  " + entry.stop +
+           ((entry.over !== null && entry.over !== undefined) ? " " + formatOvershoot(entry.over) : "");
+}
+
+// ============================================================================
+// SELF-CALIBRATION
+// ============================================================================
+
+var LEARN_WEIGHT = 0.3;         // Weight of the newest session in the rolling average
+var LEARN_MIN_MINUTES = 30;     // Ignore sessions shorter than this...
+var LEARN_MIN_SOC_GAIN = 3;     // ...or that added less SOC than this (%)
+
+function getEffectiveRate() {
+    return (learned.rate !== null) ? learned.rate : config.chargerRate;
+}
+
+function getEfficiency() {
+    return (learned.efficiency !== null) ? learned.efficiency : 1.0;
+}
+
+function blend(oldVal, newVal) {
+    return (oldVal === null) ? newVal : oldVal + (newVal - oldVal) * LEARN_WEIGHT;
+}
+
+function clamp(val, min, max) {
+    return Math.max(min, Math.min(max, val));
+}
+
+// Compare a finished session's measurements with its prediction and fold them
+// into the rolling learned rate and efficiency
+function learnFromSession(session, socEnd) {
+    var socGain = socEnd - session.startSOC;
+    var hours = session.chargeMinutes / 60;
+    if (session.chargeMinutes < LEARN_MIN_MINUTES || socGain < LEARN_MIN_SOC_GAIN ||
+        session.partial) {
+        return;
+    }
+
+    // Measured wall power: prefer v.c.power samples, else energy over time
+    var rate = (session.powerSamples > 0) ? session.powerSum / session.powerSamples :
+               session.kwh / hours;
+    var efficiency = ((socGain / 100) * getEffectiveCapacity()) / session.kwh;
+
+    learned.rate = clamp(blend(learned.rate, rate), config.chargerRate * 0.3, config.chargerRate * 1.2);
+    learned.efficiency = clamp(blend(learned.efficiency, efficiency), 0.5, 1.0);
+    learned.sessions++;
+    saveLearned();
+
+    var msg = "Session: " + session.kwh.toFixed(1) + " kWh in " + formatDuration(session.chargeMinutes);
+    if (session.predictedKwh !== null) {
+        msg += " (predicted " + session.predictedKwh.toFixed(1) + " kWh in " +
+               formatDuration(session.predictedHours * 60) + ")";
+    }
+    print(msg + ". Learned " + learned.rate.toFixed(2) + " kW, " +
+          (learned.efficiency * 100).toFixed(0) + "% efficiency\n");
+}
+
+function saveLearned() {
+    saveConfig("charging.learned.rate", (learned.rate !== null) ? learned.rate.toFixed(3) : "");
+    saveConfig("charging.learned.efficiency",
+               (learned.efficiency !== null) ? learned.efficiency.toFixed(3) : "");
+    saveConfig("charging.learned.sessions", learned.sessions);
+}
+
+function resetLearned() {
+    learned.rate = null;
+    learned.efficiency = null;
+    learned.sessions = 0;
+    saveLearned();
+}
+
+// ============================================================================
+// CHARGE CURRENT
+// ============================================================================
+
+function getChargeVoltage() {
+    var voltage = getMetric("v.c.voltage", 0);
+    return (voltage > 100) ? voltage : 230;
+}
+
+// Full-rate current: configured, or what the charger rate implies
+function getMaxCurrent() {
+    if (config.currentMax > 0) {
+        return config.currentMax;
+    }
+    return Math.ceil(getEffectiveRate() * 1000 / getChargeVoltage());
+}
+
+function setChargeCurrent(amps) {
+    if (!state.currentSupported) {
+        return false;
+    }
+    try {
+        var result = OvmsCommand.Exec("charge current " + amps);
+        if (result && /error|not |unrecognised|fail/i.test(result)) {
+            state.currentSupported = false;
+            state.commandedCurrent = null;
+            notify("Charge current not supported by vehicle (" + result.replace(/\s+$/, "") +
+                   "). Charging at full rate.");
+            return false;
+        }
+        state.commandedCurrent = amps;
+        print("Charge current set to " + amps + " A\n");
+        return true;
+    } catch (e) {
+        print("Charge current error: " + e.message + "\n");
+        return false;
+    }
+}
+
+// Put the vehicle back to full current after a limited session
+function restoreChargeCurrent() {
+    if (state.commandedCurrent !== null && state.commandedCurrent < getMaxCurrent()) {
+        setChargeCurrent(getMaxCurrent());
+    }
+    state.commandedCurrent = null;
+}
+
+// A scheduled block's current (see planBandCurrents), full rate if it has none
+function applyBlockCurrent(block) {
+    if (block.amps) {
+        if (block.amps !== state.commandedCurrent) {
+            setChargeCurrent(block.amps);
+        }
+    } else {
+        restoreChargeCurrent();
+    }
+}
+
+function describeCurrent() {
+    var text = (state.commandedCurrent !== null) ?
+        "commanded " + state.commandedCurrent + " A" :
+        (state.scheduledCurrent !== null ? "planned " + state.scheduledCurrent + " A" : "full rate");
+    if (state.scheduledCurrent !== null) {
+        var full = [];
+        for (var i = 0; i < state.scheduledBlocks.length; i++) {
+            if (!state.scheduledBlocks[i].amps) {
+                full.push(state.scheduledBlocks[i]);
+            }
+        }
+        if (full.length > 0) {
+            text += " (full rate " + describeBlocks(full) + ")";
+        }
+    }
+    if (OvmsMetrics.HasValue("v.c.current")) {
+        text += ", measured " + getMetric("v.c.current", 0).toFixed(1) + " A";
+    }
+    if (!state.currentSupported) {
+        text += " (not supported)";
+    }
+    return text;
+}
+
+// ============================================================================
+// VEHICLE CHARGE LIMIT
+// ============================================================================
+
+// The vehicle's own limit stops the charge on time; ticker stopping stays
+// as a backup. Where the vehicle doesn't take the limit, monitorSOC flags the
+// last few minutes before target and ticker.10 checks SOC until it's reached.
+// The vehicle's own limit is put back when the charge stops or the car is
+// unplugged, and an unsupported limit is reported again each session.
+var NEAR_TARGET_MINUTES = 3;
+
+function programChargeLimit(target) {
+    var limit = state.chargeLimit;
+    if (typeof limit.previous !== "number" && limit.status !== "unsupported" &&
+        OvmsMetrics.HasValue("v.c.limit.soc")) {
+        limit.previous = Math.round(getMetric("v.c.limit.soc", 100));
+    }
+    limit.soc = target;
+    try {
+        var result = OvmsCommand.Exec("charge limit soc " + target);
+        if (result && /error|not |unrecognised|fail|invalid/i.test(result)) {
+            setLimitUnsupported(result.replace(/\s+$/, ""));
+            return;
+        }
+        limit.status = "pending";
+        print("Vehicle charge limit set to " + target + "%\n");
+    } catch (e) {
+        setLimitUnsupported(e.message);
+    }
+}
+
+// Confirm the limit took, from the vehicle's reported limit (next tick)
+function verifyChargeLimit() {
+    var limit = state.chargeLimit;
+    if (limit.status !== "pending") {
+        return;
+    }
+    if (!OvmsMetrics.HasValue("v.c.limit.soc")) {
+        limit.status = "unverified";
+        return;
+    }
+    var reported = getMetric("v.c.limit.soc", 0);
+    if (Math.round(reported) === limit.soc) {
+        limit.status = "native";
+    } else {
+        setLimitUnsupported("vehicle reports " + reported.toFixed(0) + "%");
+    }
+}
+
+function setLimitUnsupported(why) {
+    var first = state.chargeLimit.status !== "unsupported";
+    state.chargeLimit.status = "unsupported";
+    if (first) {
+        notify("Vehicle charge limit not accepted (" + why +
+               "). Stopping by SOC checks, every 10 s near target.");
+    }
+}
+
+// Put the vehicle's own limit back after a charge we limited
+function restoreChargeLimit() {
+    var limit = state.chargeLimit;
+    if (typeof limit.previous === "number" && limit.status !== "unsupported" &&
+        limit.previous !== limit.soc) {
+        try {
+            OvmsCommand.Exec("charge limit soc " + limit.previous);
+            print("Vehicle charge limit restored to " + limit.previous + "%\n");
+        } catch (e) {
+            print("Restore charge limit error: " + e.message + "\n");
+        }
+    }
+    limit.previous = null;
+    limit.soc = null;
+    if (limit.status !== "unsupported") {
+        limit.status = "none";
+    }
+}
+
+function describeChargeLimit() {
+    var limit = state.chargeLimit;
+    if (limit.status === "native") {
+        return "vehicle limit " + limit.soc + "% (confirmed) + SOC checks";
+    }
+    if (limit.status === "unverified" || limit.status === "pending") {
+        return "vehicle limit " + limit.soc + "% (not confirmed) + SOC checks, 10 s near target";
+    }
+    if (limit.status === "unsupported") {
+        return "SOC checks only, 10 s near target (vehicle limit not supported)";
+    }
+    return "SOC checks (vehicle limit set when charging starts)";
+}
+
+// Within a few minutes of the target at the current charge power?
+function isNearTarget(soc, target) {
+    var perMinute = getMetric("v.c.power", 0) / getEffectiveCapacity() * 100 / 60;
+    return soc >= target - Math.max(0.5, perMinute * NEAR_TARGET_MINUTES);
+}
+
+// ============================================================================
+// OVERSHOOT PROTECTION
+// ============================================================================
+
+// A 60 s tick can let a 7 kW charge run 1-2% past target. monitorSOC keeps a
+// few minutes of SOC readings; when the slope says the target falls before the
+// next tick, the stop time is predicted and ticker.10 stops at it (or at once
+// if it's only seconds away). The settled SOC at unplug is logged per session.
+var SOC_SAMPLE_COUNT = 6;    // ~5 minutes of ticker.60 readings
+var SOC_SAMPLE_GAP_MS = 150000; // A longer gap (pause, interruption) restarts the slope
+var STOP_LEAD_SEC = 5;       // Stop now when the target is this close (half a ticker.10)
+var STOP_TOLERANCE_SOC = 0.5; // A predicted stop can leave SOC this far under target
+
+function recordSOCSample(soc) {
+    var now = new Date().getTime();
+    var samples = state.socSamples;
+    if (samples.length > 0 && now - samples[samples.length - 1].t > SOC_SAMPLE_GAP_MS) {
+        samples.length = 0;
+    }
+    samples.push({ t: now, soc: soc });
+    if (samples.length > SOC_SAMPLE_COUNT) {
+        samples.shift();
+    }
+}
+
+function resetPrediction() {
+    state.socSamples = [];
+    state.predictedStopAt = null;
+    state.nearTarget = false;
+}
+
+// SOC gain per minute: measured slope over 2+ minutes, else from charge power
+function getSOCRate() {
+    var samples = state.socSamples;
+    if (samples.length >= 2) {
+        var first = samples[0];
+        var last = samples[samples.length - 1];
+        var minutes = (last.t - first.t) / 60000;
+        if (minutes >= 2 && last.soc > first.soc) {
+            return (last.soc - first.soc) / minutes;
+        }
+    }
+    var power = getMetric("v.c.power", 0) * getEfficiency();
+    return (power > 0) ? power / getEffectiveCapacity() * 100 / 60 : null;
+}
+
+// Seconds until the target at the current rate, null if the rate is unknown
+function getSecondsToTarget(soc, target) {
+    var rate = getSOCRate();
+    return (rate !== null) ? (target - soc) / rate * 60 : null;
+}
+
+function formatOvershoot(over) {
+    return (over >= 0 ? "+" : "") + over.toFixed(1) + "%";
+}
+
+// Overshoot of this session's stop so far, else of the last logged session
+function describeOvershoot() {
+    var session = state.session;
+    if (session !== null && session.stopTarget !== null) {
+        return formatOvershoot(getSOC() - session.stopTarget) + " this session (target " +
+               session.stopTarget + "%)";
+    }
+    var entries = loadHistory();
+    for (var i = entries.length - 1; i >= 0; i--) {
+        if (entries[i].over !== null && entries[i].over !== undefined) {
+            return formatOvershoot(entries[i].over) + " last session";
+        }
+    }
+    return null;
+}
+
+// ============================================================================
+// SOLAR SURPLUS CHARGING
+// ============================================================================
+
+var SOLAR_FILE_MAX_AGE_MS = 10 * 60000;  // Ignore a file the bridge stopped updating
+
+// Household export in W (+ = exporting), or null when the feed is unavailable
+function readSolarExport() {
+    var source = config.solarSource;
+    if (source.charAt(0) !== "/") {
+        return OvmsMetrics.HasValue(source) ? OvmsMetrics.AsFloat(source) : null;
+    }
+
+    var text = readFile(source);
+    if (text === null) {
+        return null;
+    }
+    try {
+        var data = JSON.parse(text);
+        var value = (data.export_w !== undefined) ? data.export_w : data.export;
+        if (typeof value !== "number") {
+            return null;
+        }
+        if (data.ts !== undefined) {
+            var ts = parsePriceTime(data.ts);
+            if (ts === null || new Date().getTime() - ts > SOLAR_FILE_MAX_AGE_MS) {
+                return null;
+            }
+        }
+        return value;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Start on sustained export, stop when the surplus (export plus what the
+// charger draws) has gone, then shrink the night schedule by what was added
+function processSolar() {
+    try {
+        var solar = state.solar;
+        if (!config.solarSource) {
+            return;
+        }
+        solar.exportW = readSolarExport();
+        if (!state.lastPluggedIn) {
+            solar.aboveSince = null;
+            return;
+        }
+
+        var now = new Date().getTime();
+        var holdMs = config.solarMinutes * 60000;
+        var charging = isCharging();
+
+        if (solar.charging) {
+            if (!charging) {
+                solar.charging = false;
+                endSolarCharge("charge stopped");
+                return;
+            }
+            // A scheduled block takes over
+            if (state.scheduledBlocks !== null &&
+                findBlockAt(state.scheduledBlocks, now) >= 0) {
+                solar.charging = false;
+                state.scheduledCharging = true;
+                print("Solar charge handed over to schedule\n");
+                return;
+            }
+            var surplus = (solar.exportW || 0) + getMetric("v.c.power", 0) * 1000;
+            if (surplus >= config.solarThresholdW) {
+                solar.belowSince = null;
+            } else if (solar.belowSince === null) {
+                solar.belowSince = now;
+            } else if (now - solar.belowSince >= holdMs) {
+                solar.charging = false;
+                stopCharging("solar end");
+                endSolarCharge("export fell to " + (solar.exportW || 0).toFixed(0) + " W");
+            }
+            return;
+        }
+
+        if (charging || solar.exportW === null || solar.exportW < config.solarThresholdW ||
+            getSOC() >= getActiveTarget()) {
+            solar.aboveSince = null;
+            return;
+        }
+        if (solar.aboveSince === null) {
+            solar.aboveSince = now;
+        } else if (now - solar.aboveSince >= holdMs) {
+            solar.aboveSince = null;
+            solar.belowSince = null;
+            solar.charging = true;
+            solar.startSOC = getSOC();
+            programChargeLimit(getActiveTarget());
+            OvmsCommand.Exec("charge start");
+            state.monitoring = true;
+            notify("Solar export " + solar.exportW.toFixed(0) + " W for " + config.solarMinutes +
+                   " min: charging started. Target " + getActiveTarget() + "%.");
+        }
+    } catch (e) {
+        print("processSolar error: " + e.message + "\n");
+    }
+}
+
+// Fraction of the charger's draw covered by export. The export reading is
+// net of the car, so a negative reading is the part drawn from the grid.
+function getSolarShare() {
+    var exportW = state.solar.exportW;
+    if (exportW === null) {
+        return 0;
+    }
+    var drawW = getMetric("v.c.power", 0) * 1000;
+    if (drawW <= 0) {
+        return (exportW >= 0) ? 1 : 0;
+    }
+    return Math.max(0, Math.min(1, (drawW + exportW) / drawW));
+}
+
+function endSolarCharge(why) {
+    var soc = getSOC();
+    notify("Solar charge ended (" + why + ") at " + soc.toFixed(0) + "%, +" +
+           (soc - state.solar.startSOC).toFixed(0) + "% from solar.");
+    // Re-plan from the new SOC so the night schedule only tops up the rest
+    replanIfPlugged();
+}
+
+function describeSolar() {
+    var solar = state.solar;
+    var text = (solar.exportW !== null ? solar.exportW.toFixed(0) + " W export" : "no reading") +
+               " (start at " + config.solarThresholdW + " W for " + config.solarMinutes + " min)";
+    if (solar.charging) {
+        text += ", charging since " + solar.startSOC.toFixed(0) + "%";
+    }
+    return text;
+}
+
+// ============================================================================
+// SCHEDULE CHECKER (called by ticker.60)
+// ============================================================================
+
+function checkSchedule() {
+    try {
+        // Check for plug state changes first
+        checkPlugInState();
+
+        var currentSOC = getSOC();
+        var charging = isCharging();
+        var plugged = isPluggedIn();
+
+        if (state.scheduledBlocks === null || !plugged) {
+            return;
+        }
+
+        var block = findBlockAt(state.scheduledBlocks, new Date().getTime());
+
+        // Entering a block: start once (don't fight a manual stop mid-block).
+        // A block straight after the last one may change the current
+        if (block >= 0 && block !== state.activeBlock) {
+            state.activeBlock = block;
+            if (!charging && !state.targetReached &&
+                currentSOC < getActiveTarget() - STOP_TOLERANCE_SOC) {
+                print("Schedule triggered: starting charge (block " + (block + 1) + "/" +
+                      state.scheduledBlocks.length + ")\n");
+                applyBlockCurrent(state.scheduledBlocks[block]);
+                startCharging();
+                state.scheduledCharging = true;
+            } else if (charging && state.scheduledCharging) {
+                applyBlockCurrent(state.scheduledBlocks[block]);
+            }
+        }
+
+        // Leaving a block: pause until the next one. After the last block,
+        // keep going so the target is still reached (monitorSOC stops it),
+        // unless opportunistic mode or a temporary window says time is up (FR-1.3)
+        var lastBlock = state.activeBlock === state.scheduledBlocks.length - 1;
+        if (block < 0 && state.activeBlock >= 0 && charging && state.scheduledCharging &&
+            (!lastBlock || (state.scheduledStopAtEnd && currentSOC < getActiveTarget()))) {
+            if (lastBlock) {
+                var temporary = state.activePlan !== null && state.activePlan.window;
+                notify((temporary ? "Temporary window" : "Cheap window") + " ended at " +
+                       currentSOC.toFixed(0) + "% (target " + getActiveTarget() + "%). Stopping" +
+                       (temporary ? "." : " (opportunistic mode)."));
+                stopCharging("window end");
+                if (temporary) {
+                    clearOverride("window ended");
+                }
+            } else {
+                print("Block " + (state.activeBlock + 1) + " ended: pausing charge\n");
+                stopCharging("block end");
+            }
+            state.scheduledCharging = false;
+        }
+
+    } catch (e) {
+        print("checkSchedule error: " + e.message + "\n");
+    }
+}
+
+// ============================================================================
+// TICKER HANDLER (called by ticker.60)
+// ============================================================================
+
+function tickerHandler() {
+    var solarCharging = state.solar.charging;
     checkSchedule();
+    verifyChargeLimit();
+    processSolar();
+    processPrecondition();
     monitorSOC();
+    trackSession(solarCharging);
+    saveState();
+}
+
+// ============================================================================
+// PRE-CONDITIONING
+// ============================================================================
+
+// Runs once per departure, preconditionMin before ready-by, while plugged in
+// and only when v.e.temp is below the threshold. A failed climate command is
+// retried once after a vehicle wake (FR-4); the wake delay is timed on ticker.10.
+
+// Extra SOC (%) to charge for the climate draw, 0 when it won't run
+function getPreconditionSOC(readyByMin) {
+    if (config.preconditionMin <= 0 || readyByMin === null || !OvmsMetrics.HasValue("v.e.temp") ||
+        getMetric("v.e.temp", 0) >= config.preconditionBelowC) {
+        return 0;
+    }
+    var kwh = config.preconditionKw * config.preconditionMin / 60;
+    return Math.ceil(kwh / getEffectiveCapacity() * 100);
+}
+
+// Send a climate command; false if the vehicle didn't take it
+function sendClimate(mode) {
+    try {
+        var result = OvmsCommand.Exec("climatecontrol " + mode);
+        return !(result && /error|not |unrecognised|fail|timeout/i.test(result));
+    } catch (e) {
+        return false;
+    }
+}
+
+// Called by ticker.60
+function processPrecondition() {
+    try {
+        var pre = state.precondition;
+        if (config.preconditionMin <= 0 || state.activePlan === null || !isPluggedIn()) {
+            return;
+        }
+        var readyByMin = getPlanReadyByMin(state.activePlan);
+        if (readyByMin === null) {
+            return;
+        }
+
+        var now = getNowMinute();
+        var departure = nextLocalTime(readyByMin, now);
+        var until = (departure - now) / MINUTE_MS;
+        if (until <= 0 || until > config.preconditionMin || pre.departure === departure) {
+            return;
+        }
+        pre.departure = departure;
+
+        if (!OvmsMetrics.HasValue("v.e.temp")) {
+            pre.status = "skipped";
+            pre.detail = "no temperature reading";
+            print("Pre-conditioning skipped: no temperature reading\n");
+            return;
+        }
+        var temp = getMetric("v.e.temp", 0);
+        pre.detail = temp.toFixed(0) + "\u00B0C";
+        if (temp >= config.preconditionBelowC) {
+            pre.status = "skipped";
+            print("Pre-conditioning skipped: " + pre.detail + "\n");
+            return;
+        }
+
+        var ready = formatTime(state.activePlan.readyByHour, state.activePlan.readyByMinute);
+        if (sendClimate("on")) {
+            pre.status = "on";
+            notify("Pre-conditioning on (" + pre.detail + "). Ready by " + ready + ".");
+        } else if (config.climateWakeRetry) {
+            try {
+                OvmsCommand.Exec("vehicle wakeup");
+            } catch (e) {}
+            pre.status = "retrying";
+            pre.retryAt = new Date().getTime() + config.climateWakeDelay;
+            notify("Pre-conditioning: climate command failed. Waking vehicle, retrying in " +
+                   (config.climateWakeDelay / 1000).toFixed(0) + " s.");
+        } else {
+            pre.status = "failed";
+            notify("Pre-conditioning failed: climate command not accepted.");
+        }
+    } catch (e) {
+        print("processPrecondition error: " + e.message + "\n");
+    }
+}
+
+// Called by ticker.10: the single retry once the wake delay has passed
+function processClimateRetry() {
+    var pre = state.precondition;
+    if (pre.status !== "retrying" || new Date().getTime() < pre.retryAt) {
+        return;
+    }
+    pre.retryAt = null;
+    if (sendClimate("on")) {
+        pre.status = "on";
+        notify("Pre-conditioning on after wake retry (" + pre.detail + ").");
+    } else {
+        pre.status = "failed";
+        notify("Pre-conditioning failed after wake retry. Not retrying again.");
+    }
+}
+
+function describePrecondition() {
+    var pre = state.precondition;
+    var text = config.preconditionMin + " min before ready-by below " + config.preconditionBelowC +
+               "\u00B0C (" + config.preconditionKw.toFixed(1) + " kW)";
+    if (pre.status !== null) {
+        text += ", " + pre.status + (pre.detail ? " (" + pre.detail + ")" : "");
+    }
+    return text;
 }
 
 // ============================================================================
@@ -503,9 +3228,10 @@ function monitorSOC() {
     try {
         var charging = isCharging();
         var soc = getSOC();
+        var target = getActiveTarget();
 
         // Auto-enable monitoring when charging detected
-        if (charging && soc < config.targetSOC && !state.monitoring) {
+        if (charging && soc < target && !state.monitoring) {
             state.monitoring = true;
             print("Monitoring enabled (charge in progress)\n");
         }
@@ -514,19 +3240,253 @@ function monitorSOC() {
             return;
         }
 
-        if (!charging) {
-            state.monitoring = false;
+        if (!charging) {
+            state.monitoring = false;
+            resetPrediction();
+            // The car may finish a 100% charge itself a little short
+            checkOverrideDone(soc);
+            // Its own charge limit stopped it
+            if (state.chargeLimit.status !== "unsupported" && state.chargeLimit.status !== "none" &&
+                soc >= state.chargeLimit.soc - 1 && state.chargeLimit.soc === target) {
+                notify("Target reached: " + soc.toFixed(0) + "% (vehicle limit)");
+                state.targetReached = true;
+                if (state.session !== null) {
+                    state.session.stopReason = "target";
+                    state.session.stopTarget = target;
+                }
+                clearRetry();
+                restoreChargeCurrent();
+                return;
+            }
+            // Stopped by something other than us before reaching target
+            if (soc < getOverrideDoneSOC(target) && isPluggedIn() &&
+                (state.scheduledCharging || state.manualCharging)) {
+                handleChargeInterruption(soc, target);
+            }
+            return;
+        }
+
+        // Charging again after an earlier stop: that stop's overshoot no longer applies
+        if (state.session !== null) {
+            state.session.stopTarget = null;
+        }
+
+        if (soc >= target) {
+            onTargetReached(soc, target, false);
+            return;
+        }
+
+        recordSOCSample(soc);
+        var seconds = getSecondsToTarget(soc, target);
+        if (seconds !== null && seconds <= STOP_LEAD_SEC) {
+            onTargetReached(soc, target, true);
+            return;
+        }
+        state.predictedStopAt = (seconds !== null && seconds < 60) ?
+            new Date().getTime() + seconds * 1000 : null;
+        state.nearTarget = state.predictedStopAt !== null ||
+            (state.chargeLimit.status !== "native" && isNearTarget(soc, target));
+
+    } catch (e) {
+        // Silent fail
+    }
+}
+
+function onTargetReached(soc, target, predicted) {
+    resetPrediction();
+    notify("Target reached: " + soc.toFixed(0) + "%" + (predicted ? " (predicted stop)" : ""));
+    stopCharging("target");
+    state.targetReached = true;
+    if (state.session !== null) {
+        state.session.stopTarget = target;
+    }
+    clearRetry();
+    restoreChargeCurrent();
+    checkOverrideDone(soc);
+}
+
+// ticker.10: returns at once unless the target is close or its time predicted,
+// a climate retry is waiting out its wake delay, or a charge retry is pending
+function fastTickerHandler() {
+    processClimateRetry();
+    processRetry();
+    if (!state.nearTarget || !state.monitoring) {
+        return;
+    }
+    try {
+        if (!isCharging()) {
+            return;
+        }
+        var soc = getSOC();
+        var target = getActiveTarget();
+        if (soc >= target) {
+            onTargetReached(soc, target, false);
+        } else if (state.predictedStopAt !== null &&
+                   new Date().getTime() >= state.predictedStopAt - STOP_LEAD_SEC * 1000) {
+            onTargetReached(soc, target, true);
+        }
+    } catch (e) {
+        state.nearTarget = false;
+    }
+}
+
+// ============================================================================
+// CHARGE INTERRUPTION (SMART-CHARGING-DESIGN v1.1)
+// ============================================================================
+
+// Scheduled charges retry 2, 5 then 10 minutes after the previous attempt
+// began, each preceded by a climate wake cycle to restore the pilot signal.
+// Manual charges are not retried (the user is present). The interruption is
+// detected on ticker.60; the retry steps are timed on ticker.10, so the wake
+// cycle (climate on 10 s, off 5 s), the restart and its check all fall within
+// the minute the attempt is due.
+var RETRY_DELAYS_MIN = [2, 5, 10];
+var RETRY_WAKE_ON_SEC = 10;     // Climate on before switching it off
+var RETRY_WAKE_OFF_SEC = 5;     // Climate off before charge start
+var RETRY_VERIFY_SEC = 20;      // Charge start to the charging check
+
+function newRetryState(kind) {
+    return {
+        kind: kind,      // "scheduled" or "manual"
+        count: 0,        // Attempts made this session
+        step: null,      // null (idle), "waiting", "wake", "start", "verify"
+        nextAt: null,    // Epoch ms the next step is due
+        attemptAt: null, // Epoch ms the current attempt began
+        log: []          // "HH:MM message" for every event, for status()
+    };
+}
+
+function retryLog(msg) {
+    state.retry.log.push(timestamp() + " " + msg);
+    if (state.retry.log.length > 8) {
+        state.retry.log.shift();
+    }
+}
+
+function handleChargeInterruption(soc, target) {
+    var kind = state.scheduledCharging ? "scheduled" : "manual";
+    if (state.retry === null || state.retry.kind !== kind) {
+        state.retry = newRetryState(kind);
+    }
+    var retry = state.retry;
+
+    if (kind === "manual") {
+        state.manualCharging = false;
+        retryLog("manual charge interrupted at " + soc.toFixed(0) + "%");
+        notify("Manual charge interrupted at " + soc.toFixed(0) + "% (target " + target +
+               "%). Not retrying - restart with charging.start()");
+        return;
+    }
+
+    retry.count++;
+    if (retry.count > RETRY_DELAYS_MIN.length) {
+        retry.step = null;
+        retry.nextAt = null;
+        state.scheduledCharging = false;
+        if (state.session !== null) {
+            state.session.stopReason = "failed";
+        }
+        retryLog("gave up at " + soc.toFixed(0) + "%");
+        notify("Charging failed multiple times at " + soc.toFixed(0) + "% (target " + target +
+               "%). Please check vehicle and charger.");
+        return;
+    }
+
+    // A failed restart counts its delay from when that attempt began
+    var delay = RETRY_DELAYS_MIN[retry.count - 1];
+    var from = (retry.step === "verify") ? retry.attemptAt : new Date().getTime();
+    retry.step = "waiting";
+    retry.nextAt = from + delay * 60000;
+    retryLog("interrupted at " + soc.toFixed(0) + "%, attempt " + retry.count + "/" +
+             RETRY_DELAYS_MIN.length + " in " + delay + " min");
+    notify("Charging interrupted at " + soc.toFixed(0) + "%. Retrying in " + delay +
+           " minutes... (attempt " + retry.count + "/" + RETRY_DELAYS_MIN.length + ")");
+}
+
+// Advance a pending retry once its next step is due (called by ticker.10)
+function processRetry() {
+    try {
+        var retry = state.retry;
+        if (retry === null || retry.step === null) {
+            return;
+        }
+
+        var soc = getSOC();
+        var target = getActiveTarget();
+        if (!isPluggedIn() || soc >= target) {
+            retryLog("retry cancelled (" + (soc >= target ? "at target" : "unplugged") + ")");
+            retry.step = null;
+            return;
+        }
+
+        if (isCharging()) {
+            if (retry.step === "verify") {
+                retryLog("charging confirmed");
+                notify("Charging restarted. Target " + target + "%.");
+            } else {
+                retryLog("charging resumed");
+            }
+            // Recovered: a later interruption starts again at attempt 1 (the log is kept)
+            retry.count = 0;
+            retry.step = null;
+            retry.nextAt = null;
+            retry.attemptAt = null;
+            state.monitoring = true;
+            return;
+        }
+
+        var now = new Date().getTime();
+        if (now < retry.nextAt) {
             return;
         }
 
-        if (soc >= config.targetSOC) {
-            notify("Target reached: " + soc.toFixed(0) + "%");
-            stopCharging();
+        // The wake is best-effort: a refused climate command is logged and
+        // the restart goes ahead regardless
+        if (retry.step === "waiting") {
+            retry.attemptAt = now;
+            retryLog("climate wake on" + (sendClimate("on") ? "" : " failed"));
+            retry.step = "wake";
+            retry.nextAt = now + RETRY_WAKE_ON_SEC * 1000;
+        } else if (retry.step === "wake") {
+            retryLog("climate wake off" + (sendClimate("off") ? "" : " failed"));
+            retry.step = "start";
+            retry.nextAt = now + RETRY_WAKE_OFF_SEC * 1000;
+        } else if (retry.step === "start") {
+            OvmsCommand.Exec("charge start");
+            retryLog("restart sent (attempt " + retry.count + ")");
+            retry.step = "verify";
+            retry.nextAt = now + RETRY_VERIFY_SEC * 1000;
+        } else if (retry.step === "verify") {
+            // Still not charging RETRY_VERIFY_SEC after the start command
+            handleChargeInterruption(soc, target);
         }
-
     } catch (e) {
-        // Silent fail
+        print("processRetry error: " + e.message + "\n");
+    }
+}
+
+function clearRetry() {
+    state.retry = null;
+}
+
+function describeRetry() {
+    var retry = state.retry;
+    if (retry.kind === "manual") {
+        return "manual charge, not retried";
+    }
+    if (retry.count === 0) {
+        return "scheduled charge, recovered";
     }
+    var text = "scheduled charge, attempt " + retry.count + "/" + RETRY_DELAYS_MIN.length;
+    if (retry.step === "waiting") {
+        var d = new Date(retry.nextAt);
+        text += ", next at " + formatTime(d.getHours(), d.getMinutes());
+    } else if (retry.step !== null) {
+        text += ", " + retry.step;
+    } else if (retry.count > RETRY_DELAYS_MIN.length) {
+        text += ", gave up";
+    }
+    return text;
 }
 
 // ============================================================================
@@ -535,24 +3495,305 @@ function monitorSOC() {
 
 function startCharging() {
     try {
+        programChargeLimit(getActiveTarget());
         OvmsCommand.Exec("charge start");
         state.monitoring = true;
-        notify("Charging started. Target " + config.targetSOC + "%.");
+        notify("Charging started. Target " + getActiveTarget() + "%.");
     } catch (e) {
         print("Start charging error: " + e.message + "\n");
     }
 }
 
-function stopCharging() {
+function stopCharging(reason) {
     try {
         OvmsCommand.Exec("charge stop");
         state.monitoring = false;
+        resetPrediction();
+        restoreChargeLimit();
+        if (state.session !== null) {
+            state.session.stopReason = reason || "stopped";
+        }
         print("Charging stopped\n");
     } catch (e) {
         print("Stop charging error: " + e.message + "\n");
     }
 }
 
+// ============================================================================
+// STATUS DATA
+// ============================================================================
+
+// One object behind statusJson()/planJson() (for apps and dashboards) and the
+// status() text. Times are epoch ms, clock settings "HH:MM", money in pounds.
+// Adding fields keeps STATUS_JSON_VERSION; renaming or removing one bumps it.
+var STATUS_JSON_VERSION = 1;
+
+function formatMinutes(mins) {
+    var t = minutesToTime(mins);
+    return formatTime(t.hour, t.minute);
+}
+
+function getBandData(band) {
+    return { start: formatMinutes(band.startMin), end: formatMinutes(band.endMin), rate: band.rate };
+}
+
+// Departure plan, computed schedule and its cost split (planJson)
+function getPlanData() {
+    var plan = (state.activePlan !== null) ? state.activePlan : getSessionPlan();
+    var target = getActiveTarget();
+    var schedule = null;
+    if (state.scheduledStart !== null) {
+        var blocks = [];
+        for (var i = 0; i < state.scheduledBlocks.length; i++) {
+            blocks.push({ start: state.scheduledBlocks[i].start, end: state.scheduledBlocks[i].end,
+                          amps: state.scheduledBlocks[i].amps || null });
+        }
+        var bands = [];
+        var breakdown = state.scheduledCostBreakdown;
+        for (var j = 0; j < breakdown.bands.length; j++) {
+            bands.push({
+                label: breakdown.bands[j].label,
+                rate: breakdown.bands[j].rate,
+                minutes: Math.round(breakdown.bands[j].minutes),
+                kwh: round2(breakdown.bands[j].kwh),
+                cost: round2(breakdown.bands[j].cost)
+            });
+        }
+        schedule = {
+            start: state.scheduledStart,
+            end: state.scheduledEnd,
+            blocks: blocks,
+            reachSOC: state.scheduledReachSOC,
+            kwhNeeded: round2(state.scheduledKwhNeeded),
+            cost: round2(state.scheduledCost),
+            costBreakdown: bands,
+            taperMin: state.scheduledTaperMin,
+            derateMin: state.scheduledDerateMin,
+            above80Min: state.scheduledAbove80Min,
+            chargeCurrent: state.scheduledCurrent,
+            stopAtEnd: state.scheduledStopAtEnd,
+            message: state.scheduledMessage
+        };
+    }
+    return {
+        active: state.activePlan !== null,
+        source: plan.source,
+        day: DAY_NAMES[plan.day],
+        readyBy: (plan.readyByHour !== null) ? formatTime(plan.readyByHour, plan.readyByMinute) : null,
+        window: plan.window ? { start: formatMinutes(plan.window.startMin),
+                                end: formatMinutes(plan.window.endMin) } : null,
+        targetSOC: target,
+        text: describePlan(plan),
+        override: (override !== null) ? { critical: override.critical, text: describeOverride() } : null,
+        skipAboveSOC: getSkipThreshold(target),
+        forceNext: state.forceNext,
+        schedule: schedule,
+        skipReason: state.skipReason
+    };
+}
+
+// Everything status() shows (statusJson)
+function getStatusData() {
+    if (config.priceFile && prices.status === "not loaded") {
+        loadPrices();
+    }
+    var soc = getSOC();
+    var derating = getDerating();
+    var plan = getPlanData();
+    var departureSOC = (plan.schedule !== null) ? Math.max(soc, plan.schedule.reachSOC) : soc;
+
+    var bands = [];
+    for (var i = 0; i < config.tariffBands.length; i++) {
+        bands.push(getBandData(config.tariffBands[i]));
+    }
+    var retry = state.retry;
+
+    return {
+        version: STATUS_JSON_VERSION,
+        module: VERSION,
+        time: new Date().getTime(),
+        config: {
+            targetSOC: config.targetSOC,
+            readyBy: formatTime(config.readyByHour, config.readyByMinute),
+            mode: config.mode,
+            modeText: describeMode(),
+            cheapWindow: {
+                start: formatTime(config.cheapWindowStart.hour, config.cheapWindowStart.minute),
+                end: formatTime(config.cheapWindowEnd.hour, config.cheapWindowEnd.minute)
+            },
+            cheapRate: config.cheapRate,
+            standardRate: config.standardRate,
+            tariffBands: bands,
+            cheapestBand: getBandData(getCheapestBand()),
+            priceFile: config.priceFile || null,
+            minChargeKwh: config.minChargeKwh,
+            chargerRate: config.chargerRate,
+            chargeCurve: config.chargeCurve,
+            currentLimit: (config.currentMin > 0) ? { min: config.currentMin, max: getMaxCurrent() } : null,
+            batteryCare: config.batteryCare ? { bufferMin: config.careBufferMin,
+                                                balanceAboveSOC: config.balanceAboveSOC } : null,
+            minRangeMiles: (config.minRangeMiles > 0) ? config.minRangeMiles : null
+        },
+        vehicle: {
+            soc: soc,
+            soh: getSOH(),
+            plugged: isPluggedIn(),
+            charging: isCharging(),
+            power: getMetric("v.c.power", null),
+            temp: derating.temp,
+            tempSource: derating.source,
+            derateFactor: derating.factor,
+            departureSOC: departureSOC,
+            departureRangeKm: Math.round(departureSOC * getKmPerPercent() * 10) / 10
+        },
+        plan: plan,
+        prices: config.priceFile ? { status: prices.status } : null,
+        trip: (state.tripMiles !== null) ? { miles: state.tripMiles,
+                                             text: describeTrip(getTripTarget(state.tripMiles)) } : null,
+        minRange: (config.minRangeMiles > 0) ? {
+            km: Math.round(config.minRangeMiles * KM_PER_MILE * 10) / 10,
+            soc: getMinRangeSOC(),
+            beyondFull: 100 * getKmPerPercent() < config.minRangeMiles * KM_PER_MILE
+        } : null,
+        solar: config.solarSource ? { exportW: state.solar.exportW, charging: state.solar.charging,
+                                      text: describeSolar() } : null,
+        precondition: (config.preconditionMin > 0) ? {
+            status: state.precondition.status,
+            departure: state.precondition.departure,
+            text: describePrecondition()
+        } : null,
+        learned: { rate: learned.rate, efficiency: learned.efficiency, sessions: learned.sessions },
+        monitoring: {
+            active: state.monitoring,
+            chargeLimit: { status: state.chargeLimit.status, soc: state.chargeLimit.soc },
+            stopProtection: describeChargeLimit(),
+            current: (config.currentMin > 0) ? describeCurrent() : null,
+            overshoot: describeOvershoot()
+        },
+        retry: (retry === null) ? null : {
+            kind: retry.kind,
+            count: retry.count,
+            maxAttempts: RETRY_DELAYS_MIN.length,
+            step: retry.step,
+            nextAt: retry.nextAt,
+            log: retry.log,
+            text: describeRetry()
+        },
+        lastNotification: state.lastNotification
+    };
+}
+
+// status() text from getStatusData()
+function formatStatus(data) {
+    var vehicle = data.vehicle;
+    var plan = data.plan;
+    var lines = [];
+    lines.push("=== Smart Charging v" + data.module + " ===");
+    lines.push("SOC: " + vehicle.soc.toFixed(0) + "% (target " + plan.targetSOC + "%)");
+    lines.push("SOH: " + vehicle.soh.toFixed(0) + "%");
+    lines.push("Plugged: " + (vehicle.plugged ? "Yes" : "No"));
+    lines.push("Charging: " + (vehicle.charging ? "Yes" : "No"));
+    lines.push("Ready by: " + data.config.readyBy);
+    lines.push("Mode: " + data.config.modeText);
+    if (data.config.batteryCare !== null) {
+        lines.push("Battery care: finish " + data.config.batteryCare.bufferMin +
+                   " min before departure, balance above " +
+                   data.config.batteryCare.balanceAboveSOC + "%");
+    }
+    if (data.trip !== null) {
+        lines.push("Trip: " + data.trip.text);
+    }
+    if (data.solar !== null) {
+        lines.push("Solar: " + data.solar.text);
+    }
+    if (data.precondition !== null) {
+        lines.push("Pre-conditioning: " + data.precondition.text);
+    }
+    if (data.minRange !== null) {
+        lines.push("Min range: " + formatRange(data.minRange.km) + " = " + data.minRange.soc + "%" +
+                   (data.minRange.beyondFull ? " (more than a full charge gives)" : ""));
+    }
+    lines.push("Departure range: " + formatRange(vehicle.departureRangeKm) +
+               " at " + vehicle.departureSOC.toFixed(0) + "%");
+    lines.push("Skip: above " + plan.skipAboveSOC + "% or under " +
+               data.config.minChargeKwh.toFixed(1) + " kWh" + (plan.forceNext ? " (forced next)" : ""));
+    if (plan.override !== null) {
+        lines.push("Override: " + plan.override.text);
+    }
+    lines.push((plan.active ? "Active plan: " : "Next plan: ") + plan.text);
+    if (data.config.tariffBands.length > 0) {
+        var cheapest = data.config.cheapestBand;
+        lines.push("Tariff: " + data.config.tariffBands.length + " bands, cheapest " +
+                   cheapest.start + "-" + cheapest.end + " \u00A3" + cheapest.rate.toFixed(3));
+    } else {
+        lines.push("Cheap window: " + data.config.cheapWindow.start + " - " +
+                   data.config.cheapWindow.end);
+    }
+    if (data.prices !== null) {
+        lines.push("Price file: " + data.prices.status);
+    }
+
+    var schedule = plan.schedule;
+    if (schedule !== null) {
+        lines.push("Scheduled: " + formatClock(schedule.start) + " - " + formatClock(schedule.end) +
+                   (schedule.reachSOC < plan.targetSOC ? " (" + schedule.reachSOC + "% expected)" : ""));
+        if (schedule.blocks.length > 1) {
+            lines.push("Blocks: " + describeBlocks(schedule.blocks));
+        }
+        lines.push("Est. cost: \u00A3" + schedule.cost.toFixed(2));
+        if (schedule.derateMin > 0) {
+            lines.push("Cold derating: +" + schedule.derateMin + " min");
+        }
+        if (schedule.taperMin > 0) {
+            lines.push("Taper: +" + schedule.taperMin + " min near full");
+        }
+        if (schedule.above80Min !== null) {
+            lines.push("Above 80%: " + formatDuration(schedule.above80Min) + " before departure");
+        }
+        if (schedule.costBreakdown.length > 1) {
+            lines.push("  " + formatCostBreakdown({ bands: schedule.costBreakdown }));
+        }
+    } else if (plan.skipReason !== null) {
+        lines.push("Schedule: Skipped - " + plan.skipReason);
+    } else {
+        lines.push("Schedule: None");
+    }
+
+    var learnedData = data.learned;
+    lines.push("Charger: " + data.config.chargerRate.toFixed(2) + " kW configured" +
+               (learnedData.rate !== null ? ", " + learnedData.rate.toFixed(2) + " kW learned" : ""));
+    if (vehicle.temp !== null) {
+        lines.push("Temp: " + vehicle.temp.toFixed(0) + "\u00B0C " + vehicle.tempSource +
+                   (vehicle.derateFactor < 1 ? " (rate x" + vehicle.derateFactor + ")" : ""));
+    }
+    if (data.config.currentLimit !== null) {
+        lines.push("Current: " + data.monitoring.current + " (limit " + data.config.currentLimit.min +
+                   "-" + data.config.currentLimit.max + " A)");
+    }
+    if (data.config.chargeCurve.length > 0) {
+        lines.push("Curve: " + formatCurve(data.config.chargeCurve) + " (SOC:kW)");
+    }
+    lines.push("Efficiency: " + (learnedData.efficiency !== null ?
+               (learnedData.efficiency * 100).toFixed(0) + "% learned" : "100% assumed") +
+               " (" + learnedData.sessions + " sessions)");
+    lines.push("Monitoring: " + (data.monitoring.active ? "Active" : "Inactive"));
+    lines.push("Stop protection: " + data.monitoring.stopProtection);
+    if (data.monitoring.overshoot !== null) {
+        lines.push("Overshoot: " + data.monitoring.overshoot);
+    }
+    if (data.retry !== null) {
+        lines.push("Retry: " + data.retry.text);
+        for (var r = 0; r < data.retry.log.length; r++) {
+            lines.push("  " + data.retry.log[r]);
+        }
+    }
+    if (data.lastNotification !== null) {
+        lines.push("Last notification: " + formatDateTime(data.lastNotification.time) + " " +
+                   data.lastNotification.text);
+    }
+    return lines.join("\n");
+}
+
 // ============================================================================
 // USER COMMANDS
 // ============================================================================
@@ -567,6 +3808,31 @@ exports.setTarget = function(soc) {
     return "Error: SOC must be 20-100";
 };
 
+exports.setLimits = function(targetSOC, skipIfAbove) {
+    if (!(targetSOC >= 20 && targetSOC <= 100)) {
+        return "Error: SOC must be 20-100";
+    }
+    if (!(skipIfAbove >= 0 && skipIfAbove <= targetSOC)) {
+        return "Error: Skip threshold must be 0-" + targetSOC;
+    }
+    config.targetSOC = targetSOC;
+    config.skipIfAbove = skipIfAbove;
+    saveConfig("charging.target.soc", targetSOC);
+    saveConfig("charging.skip.threshold", skipIfAbove);
+    print("Target " + targetSOC + "%, skip above " + skipIfAbove + "%\n");
+    return "Target: " + targetSOC + "%, skip above: " + skipIfAbove + "%";
+};
+
+exports.setMinCharge = function(kwh) {
+    if (!(kwh >= 0 && kwh <= 50)) {
+        return "Error: Minimum must be 0-50 kWh";
+    }
+    config.minChargeKwh = kwh;
+    saveConfig("charging.skip.minkwh", kwh);
+    print("Minimum charge: " + kwh.toFixed(1) + " kWh\n");
+    return "Minimum charge: " + kwh.toFixed(1) + " kWh";
+};
+
 exports.setReadyBy = function(hour, minute) {
     if (hour >= 0 && hour <= 23 && minute >= 0 && minute <= 59) {
         config.readyByHour = hour;
@@ -602,13 +3868,373 @@ exports.setRates = function(cheap, standard) {
     return "Rates: " + cheap + "/" + standard;
 };
 
+exports.setBand = function(n, startHour, startMin, endHour, endMin, rate) {
+    if (n < 1 || n > config.tariffBands.length + 1 || n > 8) {
+        return "Error: Band must be 1-" + Math.min(config.tariffBands.length + 1, 8);
+    }
+    if (startHour < 0 || startHour > 23 || startMin < 0 || startMin > 59 ||
+        endHour < 0 || endHour > 23 || endMin < 0 || endMin > 59 ||
+        isNaN(parseFloat(rate)) || rate < 0) {
+        return "Error: Invalid time or rate";
+    }
+
+    var band = {
+        startMin: timeToMinutes(startHour, startMin),
+        endMin: timeToMinutes(endHour, endMin),
+        rate: rate
+    };
+    config.tariffBands[n - 1] = band;
+    saveConfig("charging.tariff.bands", formatTariffBands(config.tariffBands));
+    print("Band " + n + ": " + describeBand(band) + " \u00A3" + rate + "/kWh\n");
+    return "Band " + n + ": " + describeBand(band) + " @ " + rate;
+};
+
+exports.removeBand = function(n) {
+    if (n < 1 || n > config.tariffBands.length) {
+        return "Error: No band " + n;
+    }
+    config.tariffBands.splice(n - 1, 1);
+    saveConfig("charging.tariff.bands", formatTariffBands(config.tariffBands));
+    print("Band " + n + " removed\n");
+    return "Removed band " + n;
+};
+
+exports.clearBands = function() {
+    config.tariffBands = [];
+    saveConfig("charging.tariff.bands", "");
+    print("Tariff bands cleared (using cheap window)\n");
+    return "Bands cleared";
+};
+
+exports.showTariff = function() {
+    var bands = getTariffBands();
+    var lines = [];
+    lines.push("=== Tariff ===");
+    for (var i = 0; i < bands.length; i++) {
+        lines.push((config.tariffBands.length > 0 ? "Band " + (i + 1) : "Cheap window") + ": " +
+                   describeBand(bands[i]) + " \u00A3" + bands[i].rate.toFixed(3) + "/kWh");
+    }
+    lines.push("Other times: \u00A3" + config.standardRate.toFixed(3) + "/kWh");
+
+    var output = lines.join("\n");
+    print(output + "\n");
+    return output;
+};
+
+exports.setSolar = function(source, thresholdW, minutes, rate) {
+    if (!source || source === "none") {
+        config.solarSource = "";
+        saveConfig("charging.solar.source", "none");
+        print("Solar charging off\n");
+        return "Solar: off";
+    }
+    if (thresholdW !== undefined && !(thresholdW > 0)) {
+        return "Error: Threshold must be > 0 W";
+    }
+    if (minutes !== undefined && !(minutes >= 1 && minutes <= 60)) {
+        return "Error: Minutes must be 1-60";
+    }
+    if (rate !== undefined && !(rate >= 0)) {
+        return "Error: Rate must be >= 0";
+    }
+    config.solarSource = source;
+    if (thresholdW !== undefined) {
+        config.solarThresholdW = thresholdW;
+    }
+    if (minutes !== undefined) {
+        config.solarMinutes = minutes;
+    }
+    if (rate !== undefined) {
+        config.solarRate = rate;
+    }
+    saveConfig("charging.solar.source", source);
+    saveConfig("charging.solar.threshold", config.solarThresholdW);
+    saveConfig("charging.solar.minutes", config.solarMinutes);
+    saveConfig("charging.solar.rate", config.solarRate);
+    print("Solar: " + source + ", " + config.solarThresholdW + " W for " + config.solarMinutes +
+          " min, \u00A3" + config.solarRate.toFixed(3) + "/kWh\n");
+    return "Solar: " + source + " (" + config.solarThresholdW + " W, " + config.solarMinutes + " min)";
+};
+
+exports.setPriceFile = function(path) {
+    config.priceFile = path ? String(path) : "";
+    saveConfig("charging.prices.file", config.priceFile || "none");
+    loadPrices();
+    print("Price file: " + (config.priceFile || "disabled") + " (" + prices.status + ")\n");
+    return "Price file: " + (config.priceFile || "disabled");
+};
+
+exports.prices = function() {
+    loadPrices();
+    var lines = [];
+    lines.push("=== Dynamic Prices ===");
+    lines.push("File: " + (config.priceFile || "disabled"));
+    lines.push("Status: " + prices.status);
+    if (prices.rates !== null) {
+        var now = new Date().getTime();
+        var rate = getDynamicRate(now);
+        lines.push("Now: " + (rate !== null ? "\u00A3" + rate.toFixed(3) + "/kWh" : "not covered"));
+    } else {
+        lines.push("Using tariff bands");
+    }
+
+    var output = lines.join("\n");
+    print(output + "\n");
+    return output;
+};
+
 exports.setCharger = function(kw) {
     config.chargerRate = kw;
     saveConfig("charging.charger.rate", kw);
-    print("Charger rate: " + kw + " kW\n");
+    resetLearned();  // Learned values belonged to the old charger
+    print("Charger rate: " + kw + " kW (learned values reset)\n");
     return "Charger: " + kw + " kW";
 };
 
+exports.setMode = function(mode) {
+    if (mode !== "readyby" && mode !== "opportunistic") {
+        return "Error: Mode must be \"readyby\" or \"opportunistic\"";
+    }
+    config.mode = mode;
+    saveConfig("charging.mode", mode);
+    print("Mode: " + describeMode() + "\n");
+    return "Mode: " + mode;
+};
+
+exports.setBatteryCare = function(enabled, bufferMin, balanceAboveSOC) {
+    if (bufferMin !== undefined && !(bufferMin >= 0 && bufferMin <= 240)) {
+        return "Error: Buffer must be 0-240 minutes";
+    }
+    if (balanceAboveSOC !== undefined && !(balanceAboveSOC >= 50 && balanceAboveSOC <= 100)) {
+        return "Error: Balance threshold must be 50-100%";
+    }
+    config.batteryCare = !!enabled;
+    if (bufferMin !== undefined) {
+        config.careBufferMin = bufferMin;
+    }
+    if (balanceAboveSOC !== undefined) {
+        config.balanceAboveSOC = balanceAboveSOC;
+    }
+    saveConfig("charging.care.enabled", config.batteryCare ? "true" : "false");
+    saveConfig("charging.care.buffer", config.careBufferMin);
+    saveConfig("charging.care.balance", config.balanceAboveSOC);
+    replanIfPlugged();
+    if (!config.batteryCare) {
+        print("Battery care off\n");
+        return "Battery care: off";
+    }
+    print("Battery care: finish " + config.careBufferMin + " min before departure, balance above " +
+          config.balanceAboveSOC + "%\n");
+    return "Battery care: on (" + config.careBufferMin + " min buffer, balance above " +
+           config.balanceAboveSOC + "%)";
+};
+
+exports.setTempSchedule = function(startHour, startMin, stopHour, stopMin) {
+    if (!(startHour >= 0 && startHour <= 23 && startMin >= 0 && startMin <= 59 &&
+          stopHour >= 0 && stopHour <= 23 && stopMin >= 0 && stopMin <= 59)) {
+        return "Error: Invalid time";
+    }
+    var window = { startMin: timeToMinutes(startHour, startMin),
+                   endMin: timeToMinutes(stopHour, stopMin) };
+    if (window.startMin === window.endMin) {
+        return "Error: Window start and end are the same";
+    }
+
+    var wasCritical = override !== null && override.critical;
+    override = { window: window, readyByHour: null, readyByMinute: null, targetSOC: null,
+                 critical: false, reason: "" };
+    if (wasCritical) {
+        saveCritical();
+    }
+
+    var lines = [];
+    lines.push("[TEMPORARY] Schedule: " + formatTime(startHour, startMin) + " to " +
+               formatTime(stopHour, stopMin));
+    var soc = getSOC();
+    var target = getSessionPlan().targetSOC;
+    if (soc < target) {
+        var schedule = calculateSchedule(soc, target, null, window, null);
+        var cheapest = getCheapestBand();
+        if (schedule.totalCost > schedule.wallKwh * cheapest.rate + 0.005) {
+            lines.push("[WARNING] Outside main cheap window (" + describeBand(cheapest) + ")");
+        }
+        if (schedule.reachSOC < target) {
+            lines.push("[WARNING] Window only long enough for " + schedule.reachSOC + "%");
+        }
+        lines.push("");
+        lines.push(formatCostComparison(schedule));
+    }
+    lines.push("");
+    lines.push("Will auto-revert to main schedule after session completes.");
+
+    replanIfPlugged();
+    var output = lines.join("\n");
+    print(output + "\n");
+    return output;
+};
+
+exports.setTempReadyBy = function(hour, minute, targetSOC) {
+    if (!(hour >= 0 && hour <= 23 && minute >= 0 && minute <= 59)) {
+        return "Error: Invalid time";
+    }
+    if (targetSOC !== undefined && !(targetSOC >= 20 && targetSOC <= 100)) {
+        return "Error: Target must be 20-100%";
+    }
+
+    // Critical: 100% requested, or earlier than the main ready-by
+    var main = getNextDeparturePlan();
+    var mainMin = getPlanReadyByMin(main);
+    var tempMin = timeToMinutes(hour, minute);
+    var nowMin = getCurrentMinutes();
+    var reason = "";
+    if (targetSOC === 100) {
+        reason = "100% target requested";
+    } else if (mainMin !== null &&
+               nextOccurrence(tempMin, nowMin + 1) < nextOccurrence(mainMin, nowMin + 1)) {
+        reason = "Earlier ready-by: " + formatTime(hour, minute) + " (main: " +
+                 formatTime(main.readyByHour, main.readyByMinute) + ")";
+    }
+
+    override = { window: null, readyByHour: hour, readyByMinute: minute,
+                 targetSOC: (targetSOC !== undefined) ? targetSOC : null,
+                 critical: reason !== "", reason: reason };
+    saveCritical();
+
+    var lines = [];
+    if (override.critical) {
+        lines.push("[CRITICAL JOURNEY] " + reason);
+    }
+    lines.push(describeOverride());
+    var soc = getSOC();
+    var target = getSessionPlan().targetSOC;
+    if (soc < target) {
+        var schedule = calculateSchedule(soc, target, tempMin, null, target);
+        if (schedule.late) {
+            lines.push("[WARNING] Cannot reach " + target + "% by " + formatTime(hour, minute));
+        }
+        if (schedule.totalCost > schedule.wallKwh * getCheapestBand().rate + 0.005) {
+            lines.push("");
+            lines.push(formatCostComparison(schedule));
+        }
+    }
+    lines.push("");
+    lines.push(override.critical ?
+               "Critical mode clears once charged to " + getOverrideDoneSOC(target) + "%." :
+               "Will auto-revert to main schedule after session completes.");
+
+    replanIfPlugged();
+    var output = lines.join("\n");
+    print(output + "\n");
+    return output;
+};
+
+exports.cancelCritical = function() {
+    if (override === null) {
+        return "No temporary or critical override active";
+    }
+    var overrideCharging = isCharging() && state.activePlan !== null &&
+        (state.activePlan.source === "temporary" || state.activePlan.source === "critical");
+    if (overrideCharging) {
+        stopCharging("cancelled");
+        state.scheduledCharging = false;
+        state.manualCharging = false;
+        clearRetry();
+    }
+    clearOverride("cancelled");
+    replanIfPlugged();
+    return "Override cancelled, main settings restored";
+};
+
+exports.setTrip = function(distance, unit) {
+    if (!(distance >= 0 && distance <= 1000)) {
+        return "Error: Distance must be 0-1000";
+    }
+    if (unit !== undefined && unit !== "mi" && unit !== "km") {
+        return "Error: Unit must be \"mi\" or \"km\"";
+    }
+    if (distance === 0) {
+        state.tripMiles = null;
+        replanIfPlugged();
+        print("Trip cleared\n");
+        return "Trip cleared";
+    }
+    state.tripMiles = (unit === "km") ? distance / KM_PER_MILE : distance;
+    var trip = getTripTarget(state.tripMiles);
+    replanIfPlugged();
+    print("Trip: " + describeTrip(trip) + "\n");
+    return "Trip target: " + trip.targetSOC + "% (target derived from trip)" +
+           (trip.capped ? " - needs " + trip.neededSOC + "%, capped" : "");
+};
+
+exports.setTripReserve = function(percent) {
+    if (!(percent >= 0 && percent <= 50)) {
+        return "Error: Reserve must be 0-50%";
+    }
+    config.tripReserve = percent;
+    saveConfig("charging.trip.reserve", percent);
+    print("Trip reserve: " + percent + "%\n");
+    return "Trip reserve: " + percent + "%";
+};
+
+exports.setMinRange = function(miles) {
+    if (!(miles >= 0 && miles <= 500)) {
+        return "Error: Range must be 0-500 miles (0 = off)";
+    }
+    config.minRangeMiles = miles;
+    saveConfig("charging.minrange.miles", miles);
+    replanIfPlugged();
+    if (miles === 0) {
+        print("Minimum range off\n");
+        return "Minimum range: off";
+    }
+    var soc = getMinRangeSOC();
+    print("Minimum range: " + formatRange(miles * KM_PER_MILE) + ", needs " + soc + "%\n");
+    return "Minimum range: " + miles + " mi (needs " + soc + "% today)";
+};
+
+exports.setDayPlan = function(day, hour, minute, soc) {
+    var days = parseDays(day);
+    if (days === null) {
+        return "Error: Day must be 0-6 (0=Sun), mon-sun, weekdays, weekend or all";
+    }
+
+    var plan;
+    if (hour === undefined) {
+        plan = null;  // Back to default ready-by/target
+    } else if (hour < 0) {
+        plan = { none: true };
+    } else if (hour <= 23 && minute >= 0 && minute <= 59 && soc >= 20 && soc <= 100) {
+        plan = { hour: hour, minute: minute, soc: soc };
+    } else {
+        return "Error: Invalid time or SOC (20-100)";
+    }
+
+    var names = [];
+    for (var i = 0; i < days.length; i++) {
+        config.weekPlan[days[i]] = plan;
+        saveConfig("charging.plan." + DAY_NAMES[days[i]].toLowerCase(), formatDayPlan(plan));
+        names.push(DAY_NAMES[days[i]]);
+    }
+
+    var text = (plan === null) ? "default" : (plan.none ? "none" :
+               formatTime(plan.hour, plan.minute) + " @ " + plan.soc + "%");
+    print("Day plan " + names.join(",") + ": " + text + "\n");
+    return "Plan " + names.join(",") + ": " + text;
+};
+
+exports.showWeek = function() {
+    var lines = [];
+    lines.push("=== Weekly Plan ===");
+    for (var d = 1; d <= 7; d++) {
+        lines.push(describePlan(getDayPlan(d % 7)));
+    }
+    lines.push("Next departure: " + describePlan(getNextDeparturePlan()));
+
+    var output = lines.join("\n");
+    print(output + "\n");
+    return output;
+};
+
 exports.start = function() {
     var soc = getSOC();
     var plugged = isPluggedIn();
@@ -618,50 +4244,223 @@ exports.start = function() {
         return "Error: Not plugged in";
     }
 
-    if (soc >= config.targetSOC) {
+    if (state.activePlan === null) {
+        state.activePlan = getSessionPlan();
+    }
+
+    if (soc >= state.activePlan.targetSOC) {
         print("Already at target\n");
         return "Already at target";
     }
 
+    restoreChargeCurrent();
     startCharging();
-    return "Charging: " + soc.toFixed(0) + "% -> " + config.targetSOC + "%";
+    if (!state.scheduledCharging) {
+        state.manualCharging = true;
+    }
+    return "Charging: " + soc.toFixed(0) + "% -> " + state.activePlan.targetSOC + "%";
+};
+
+exports.force = function() {
+    if (!state.lastPluggedIn) {
+        state.forceNext = true;
+        print("Next plug-in will ignore the skip threshold\n");
+        return "Force armed for next plug-in";
+    }
+    if (isCharging()) {
+        return "Already charging";
+    }
+    planCharge(getSOC(), true);
+    if (state.scheduledStart === null) {
+        return "Not scheduled: " + (state.skipReason || "no charge needed");
+    }
+    return state.scheduledMessage;
 };
 
 exports.stop = function() {
-    stopCharging();
+    stopCharging("manual");
+    state.scheduledCharging = false;
+    state.manualCharging = false;
+    clearRetry();
     return "Charging stopped";
 };
 
-exports.status = function() {
-    var soc = getSOC();
-    var soh = getSOH();
-    var plugged = isPluggedIn();
-    var charging = isCharging();
+exports.setCurrentLimit = function(minAmps, maxAmps) {
+    if (!(minAmps >= 0 && minAmps <= 80)) {
+        return "Error: Minimum must be 0-80 A (0 = off)";
+    }
+    if (maxAmps !== undefined && !(maxAmps === 0 || maxAmps >= minAmps && maxAmps <= 80)) {
+        return "Error: Maximum must be " + minAmps + "-80 A (0 = from charger rate)";
+    }
+    config.currentMin = minAmps;
+    config.currentMax = (maxAmps !== undefined) ? maxAmps : 0;
+    state.currentSupported = true;
+    saveConfig("charging.current.min", config.currentMin);
+    saveConfig("charging.current.max", config.currentMax);
+    if (minAmps === 0) {
+        print("Current limiting off\n");
+        return "Current limiting: off";
+    }
+    print("Current limit: " + minAmps + "-" + getMaxCurrent() + " A\n");
+    return "Current limit: " + minAmps + "-" + getMaxCurrent() + " A";
+};
+
+exports.setPrecondition = function(minutesBefore, onlyBelowTempC, kw) {
+    if (!(minutesBefore >= 0 && minutesBefore <= 60)) {
+        return "Error: Minutes must be 0-60 (0 = off)";
+    }
+    if (onlyBelowTempC !== undefined && !(onlyBelowTempC >= -20 && onlyBelowTempC <= 30)) {
+        return "Error: Temperature must be -20 to 30\u00B0C";
+    }
+    if (kw !== undefined && !(kw >= 0 && kw <= 10)) {
+        return "Error: Climate power must be 0-10 kW";
+    }
+    config.preconditionMin = minutesBefore;
+    if (onlyBelowTempC !== undefined) {
+        config.preconditionBelowC = onlyBelowTempC;
+    }
+    if (kw !== undefined) {
+        config.preconditionKw = kw;
+    }
+    saveConfig("charging.precondition.minutes", config.preconditionMin);
+    saveConfig("charging.precondition.below", config.preconditionBelowC);
+    saveConfig("charging.precondition.kw", config.preconditionKw);
+    replanIfPlugged();
+    if (minutesBefore === 0) {
+        print("Pre-conditioning off\n");
+        return "Pre-conditioning: off";
+    }
+    print("Pre-conditioning: " + describePrecondition() + "\n");
+    return "Pre-conditioning: " + minutesBefore + " min before ready-by below " +
+           config.preconditionBelowC + "\u00B0C";
+};
+
+exports.setTaper = function(soc, kw) {
+    if (!(soc > 0 && soc < 100) || !(kw >= 0)) {
+        return "Error: SOC must be 1-99, kW 0 (remove) or more";
+    }
+    var points = [];
+    for (var i = 0; i < config.chargeCurve.length; i++) {
+        if (config.chargeCurve[i].soc !== soc) {
+            points.push(config.chargeCurve[i]);
+        }
+    }
+    if (kw > 0) {
+        points.push({ soc: soc, kw: kw });
+    }
+    config.chargeCurve = parseCurve(formatCurve(points));
+    saveConfig("charging.curve", formatCurve(config.chargeCurve) || "none");
+    print("Charging curve: " + (formatCurve(config.chargeCurve) || "linear") + "\n");
+    return "Curve: " + (formatCurve(config.chargeCurve) || "linear");
+};
+
+exports.setDerate = function(temp, factor) {
+    if (isNaN(parseFloat(temp)) || !(factor > 0)) {
+        return "Error: Use temp (\u00B0C) and factor 0.1-0.99 (1 removes)";
+    }
+    var rows = [];
+    for (var i = 0; i < config.derating.length; i++) {
+        if (config.derating[i].temp !== temp) {
+            rows.push(config.derating[i]);
+        }
+    }
+    if (factor < 1) {
+        rows.push({ temp: temp, factor: factor });
+    }
+    config.derating = parseDerating(formatDerating(rows));
+    saveConfig("charging.derate", formatDerating(config.derating) || "none");
+    print("Derating: " + (formatDerating(config.derating) || "off") + "\n");
+    return "Derating: " + (formatDerating(config.derating) || "off");
+};
+
+exports.resetLearning = function() {
+    resetLearned();
+    print("Learned charger rate and efficiency reset\n");
+    return "Learning reset";
+};
 
+exports.history = function(n) {
+    var entries = loadHistory();
+    var count = (n > 0) ? n : 10;
     var lines = [];
-    lines.push("=== Smart Charging v" + VERSION + " ===");
-    lines.push("SOC: " + soc.toFixed(0) + "% (target " + config.targetSOC + "%)");
-    lines.push("SOH: " + soh.toFixed(0) + "%");
-    lines.push("Plugged: " + (plugged ? "Yes" : "No"));
-    lines.push("Charging: " + (charging ? "Yes" : "No"));
-    lines.push("Ready by: " + formatTime(config.readyByHour, config.readyByMinute));
-    lines.push("Cheap window: " + formatTime(config.cheapWindowStart.hour, config.cheapWindowStart.minute) +
-               " - " + formatTime(config.cheapWindowEnd.hour, config.cheapWindowEnd.minute));
-
-    if (state.scheduledStartMin !== null) {
-        var startTime = minutesToTime(state.scheduledStartMin);
-        var endTime = minutesToTime(state.scheduledEndMin);
-        lines.push("Scheduled: " + formatTime(startTime.hour, startTime.minute) +
-                   " - " + formatTime(endTime.hour, endTime.minute));
-        lines.push("Est. cost: \u00A3" + state.scheduledCost.toFixed(2));
+    lines.push("=== Charge History (last " + Math.min(count, entries.length) + " of " +
+               entries.length + ") ===");
+    for (var i = Math.max(0, entries.length - count); i < entries.length; i++) {
+        lines.push(formatSession(entries[i]));
+    }
+    if (entries.length === 0) {
+        lines.push("No sessions logged");
+    }
+
+    var output = lines.join("\n");
+    print(output + "\n");
+    return output;
+};
+
+exports.summary = function(period) {
+    period = period || "month";
+    var now = new Date();
+    var since;
+    if (period === "week") {
+        since = getMidnight(now) - 6 * 86400000;
+    } else if (period === "month") {
+        since = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+    } else if (period === "all") {
+        since = 0;
     } else {
-        lines.push("Schedule: None");
+        return "Error: Period must be week, month or all";
+    }
+
+    var entries = loadHistory();
+    var sessions = 0, kwh = 0, cost = 0, minutes = 0;
+    var overSum = 0, overCount = 0;
+    var bands = {};
+    for (var i = 0; i < entries.length; i++) {
+        if (entries[i].t < since) {
+            continue;
+        }
+        sessions++;
+        kwh += entries[i].kwh;
+        cost += entries[i].cost;
+        minutes += entries[i].min;
+        if (entries[i].over !== null && entries[i].over !== undefined) {
+            overSum += entries[i].over;
+            overCount++;
+        }
+        for (var j = 0; j < entries[i].bands.length; j++) {
+            var b = entries[i].bands[j];
+            bands[b[0]] = bands[b[0]] || { kwh: 0, cost: 0 };
+            bands[b[0]].kwh += b[1];
+            bands[b[0]].cost += b[2];
+        }
     }
 
-    lines.push("Monitoring: " + (state.monitoring ? "Active" : "Inactive"));
+    var lines = [];
+    lines.push("=== Charging Summary (" + period + ") ===");
+    lines.push("Sessions: " + sessions);
+    lines.push("Energy: " + kwh.toFixed(1) + " kWh");
+    lines.push("Cost: \u00A3" + cost.toFixed(2) +
+               (kwh > 0 ? " (avg \u00A3" + (cost / kwh).toFixed(3) + "/kWh)" : ""));
+    lines.push("Charging time: " + formatDuration(minutes));
+    if (overCount > 0) {
+        lines.push("Avg overshoot: " + formatOvershoot(Math.round(overSum / overCount * 10) / 10) +
+                   " (" + overCount + " target stops)");
+    }
+    for (var label in bands) {
+        if (bands.hasOwnProperty(label)) {
+            lines.push("  " + label + ": " + bands[label].kwh.toFixed(1) + " kWh, \u00A3" +
+                       bands[label].cost.toFixed(2));
+        }
+    }
 
     var output = lines.join("\n");
     print(output + "\n");
+    return output;
+};
+
+exports.status = function() {
+    var output = formatStatus(getStatusData());
+    print(output + "\n");
 
     try {
         OvmsNotify.Raise("info", "charge.status", output);
@@ -670,19 +4469,39 @@ exports.status = function() {
     return output;
 };
 
+exports.statusJson = function() {
+    var output = JSON.stringify(getStatusData());
+    print(output + "\n");
+    return output;
+};
+
+exports.planJson = function() {
+    var output = JSON.stringify({
+        version: STATUS_JSON_VERSION,
+        module: VERSION,
+        time: new Date().getTime(),
+        plan: getPlanData()
+    });
+    print(output + "\n");
+    return output;
+};
+
 // ============================================================================
 // INITIALIZATION
 // ============================================================================
 
 loadConfig();
+loadCritical();
 
-// Initialize plug state to false - will detect on first ticker
+// Initialize plug state to false - will detect on first ticker (which also
+// restores a saved schedule, see SCHEDULE PERSISTENCE)
 // This avoids OvmsMetrics calls during module load which can stall JS engine
 state.lastPluggedIn = false;
 
 // Subscribe to ticker for monitoring (passive approach)
 if (!state.subscribed) {
     PubSub.subscribe("ticker.60", tickerHandler);
+    PubSub.subscribe("ticker.10", fastTickerHandler);
     state.subscribed = true;
     print("Ticker monitoring active\n");
 }